@@ -3,9 +3,24 @@
  * Handles API calls, authentication, and bulk operations
  */
 
+/* global EventQuery, EventPatch, SettingsStore, importScripts */
+
+// Cleanup rules filter events with the same query language as the dialog,
+// and bulk edits are worked out the same way the dialog previews them
+if (typeof importScripts === 'function') {
+  importScripts('query.js', 'settings.js', 'patch.js');
+}
+
 class MessageRouter {
   constructor() {
     this.authManager = new AuthManager();
+    this.backupManager = new BackupManager();
+    this.jobStore = new JobStore();
+    this.jobs = new Map();
+    this.ruleStore = new RuleStore();
+    this.runningRules = new Set();
+    this.auditLog = new AuditLog();
+    this.accountEmail = null;
     try {
       const manifest = chrome.runtime.getManifest?.() || {};
       // eslint-disable-next-line no-console
@@ -24,12 +39,25 @@ class MessageRouter {
       }
     );
 
-    // Handle extension installation
-    chrome.runtime.onInstalled.addListener((details) => {
-      if (details.reason === 'install') {
-        this.onFirstInstall();
-      }
+    // Long-lived connections for operations that stream results back
+    chrome.runtime.onConnect.addListener((port) => this.handlePort(port));
+
+    // No settings are written on install: SettingsStore.load() fills in the
+    // defaults, and writing them would overwrite settings synced from
+    // another machine
+    chrome.runtime.onInstalled.addListener(() => {
+      // Updates can drop alarms, so make sure every rule has one
+      this.scheduleRules();
     });
+
+    // Starting the worker with the browser picks up stored jobs; rules that
+    // were due while Chrome was closed run now
+    chrome.runtime.onStartup.addListener(() => this.scheduleRules());
+
+    chrome.alarms.onAlarm.addListener((alarm) => this.handleAlarm(alarm));
+
+    // Jobs a terminated worker left behind are resumed as soon as we wake up
+    this.jobsReady = this.restoreJobs();
   }
 
   async handleMessage(request, sender, sendResponse) {
@@ -39,13 +67,101 @@ class MessageRouter {
       switch (request.action) {
         case 'BULK_DELETE_EVENTS': {
           // eslint-disable-next-line no-console
-          console.log('Starting bulk deletion for', request.events?.length, 'events');
-          const result = await this.performBulkDeletion(request.events);
+          console.log(request.dryRun ? 'Planning dry run for' : 'Starting bulk deletion for', request.events?.length, 'events');
+          const result = request.dryRun
+            ? await this.planBulkDeletion(request.events)
+            : await this.performBulkDeletion(request.events, null, null, { filter: request.filter });
           // eslint-disable-next-line no-console
           console.log('Bulk deletion result:', result);
           sendResponse({ success: true, result });
           break;
         }
+
+        case 'BULK_MOVE_EVENTS': {
+          const result = await this.performBulkMove(request.events, request.destinationId, null, null, { filter: request.filter });
+          sendResponse({ success: true, result });
+          break;
+        }
+
+        case 'BULK_PATCH_EVENTS': {
+          const result = await this.performBulkPatch(request.events, request.patch, null, null, { filter: request.filter });
+          sendResponse({ success: true, result });
+          break;
+        }
+          
+        case 'LIST_JOBS': {
+          await this.jobsReady;
+          const jobs = [...this.jobs.values()].map(job => this.summarizeJob(job));
+          sendResponse({ success: true, jobs });
+          break;
+        }
+
+        case 'PAUSE_JOB': {
+          await this.jobsReady;
+          const result = this.pauseJob(request.jobId);
+          sendResponse({ success: true, result });
+          break;
+        }
+
+        case 'RESUME_JOB': {
+          await this.jobsReady;
+          // Nobody is listening for progress here, so answer once the job is under way
+          this.resumeJob(request.jobId).catch((error) => {
+            // eslint-disable-next-line no-console
+            console.error('Resumed job failed:', error);
+          });
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'CANCEL_JOB': {
+          await this.jobsReady;
+          const result = await this.cancelJob(request.jobId);
+          sendResponse({ success: true, result });
+          break;
+        }
+          
+        case 'LIST_AUDIT_LOG': {
+          const result = await this.auditLog.search(request.search, request.limit);
+          sendResponse({ success: true, ...result });
+          break;
+        }
+
+        case 'EXPORT_AUDIT_LOG': {
+          const { entries } = await this.auditLog.search(request.search);
+          const content = request.format === 'json'
+            ? this.auditLog.toJson(entries)
+            : this.auditLog.toCsv(entries);
+          sendResponse({ success: true, content, count: entries.length });
+          break;
+        }
+
+        case 'LIST_RULES': {
+          const rules = await this.ruleStore.listRules();
+          sendResponse({
+            success: true,
+            rules: rules.map(rule => ({ ...rule, running: this.runningRules.has(rule.id) }))
+          });
+          break;
+        }
+
+        case 'SAVE_RULE': {
+          const rule = await this.saveRule(request.rule);
+          sendResponse({ success: true, rule });
+          break;
+        }
+
+        case 'DELETE_RULE': {
+          await this.deleteRule(request.ruleId);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'RUN_RULE': {
+          const run = await this.runRule(request.ruleId);
+          sendResponse({ success: true, run });
+          break;
+        }
           
         case 'GET_AUTH_TOKEN': {
           const token = await this.authManager.getValidToken();
@@ -55,13 +171,44 @@ class MessageRouter {
           
         case 'REVOKE_AUTH': {
           await this.authManager.revokeToken();
+          this.accountEmail = null;
           sendResponse({ success: true });
           break;
         }
           
         case 'GET_CALENDAR_EVENTS': {
           const events = await this.getCalendarEvents(request.calendarId, request.filters);
-          sendResponse({ success: true, events });
+          sendResponse({ success: true, events, total: events.length });
+          break;
+        }
+
+        case 'LIST_CALENDARS': {
+          const calendars = await this.listCalendars();
+          sendResponse({ success: true, calendars });
+          break;
+        }
+
+        case 'GET_EVENT_RESOURCES': {
+          const result = await this.getEventResources(request.events, request.options);
+          sendResponse({ success: true, ...result });
+          break;
+        }
+
+        case 'LIST_BACKUPS': {
+          const backups = await this.backupManager.listSnapshots();
+          sendResponse({ success: true, backups });
+          break;
+        }
+
+        case 'RESTORE_BACKUP': {
+          const result = await this.restoreBackup(request.backupId);
+          sendResponse({ success: true, result });
+          break;
+        }
+
+        case 'DELETE_BACKUP': {
+          await this.backupManager.deleteSnapshot(request.backupId);
+          sendResponse({ success: true });
           break;
         }
           
@@ -76,63 +223,1245 @@ class MessageRouter {
     }
   }
 
-  async performBulkDeletion(events) {
-    const results = { successful: [], failed: [] };
-    const batchSize = 10;
-    const rateLimiter = new RateLimiter(10, 1000); // 10 requests per second
-    
-    for (let i = 0; i < events.length; i += batchSize) {
-      const batch = events.slice(i, i + batchSize);
-      
-      try {
-        const batchResults = await Promise.allSettled(
-          batch.map(async (event) => {
-            await rateLimiter.acquire();
-            await this.deleteEvent(event.calendarId, event.actualEventId);
-            return { 
-              domEventId: event.domEventId, 
-              actualEventId: event.actualEventId, 
-              title: event.title 
-            };
-          })
-        );
-        
-        batchResults.forEach((result, index) => {
-          const event = batch[index];
-          if (result.status === 'fulfilled') {
-            results.successful.push(result.value);
-          } else {
-            results.failed.push({
-              domEventId: event.domEventId,
-              actualEventId: event.actualEventId,
-              title: event.title,
-              error: result.reason.message,
-              retryable: this.isRetryableError(result.reason)
-            });
-          }
-        });
-        
-      } catch (batchError) {
-        batch.forEach(event => {
-          results.failed.push({ 
-            domEventId: event.domEventId,
-            actualEventId: event.actualEventId,
-            title: event.title,
-            error: batchError.message, 
-            retryable: true 
-          });
-        });
+  handlePort(port) {
+    let connected = true;
+    port.onDisconnect.addListener(() => {
+      connected = false;
+    });
+    const post = (message) => {
+      if (connected) port.postMessage(message);
+    };
+
+    port.onMessage.addListener(async (request) => {
+      try {
+        switch (request.action) {
+          case 'GET_CALENDAR_EVENTS': {
+            const events = await this.getCalendarEvents(
+              request.calendarId,
+              request.filters,
+              (page, fetched) => post({ type: 'page', events: page, fetched })
+            );
+            post({ type: 'done', total: events.length });
+            break;
+          }
+
+          case 'BULK_DELETE_EVENTS': {
+            const onProgress = (progress) => post({ type: 'progress', ...progress });
+            const result = request.dryRun
+              ? await this.planBulkDeletion(request.events, onProgress)
+              : await this.performBulkDeletion(
+                request.events,
+                onProgress,
+                (jobId) => post({ type: 'job', jobId }),
+                { filter: request.filter }
+              );
+            post({ type: 'done', result });
+            break;
+          }
+
+          case 'BULK_MOVE_EVENTS': {
+            const result = await this.performBulkMove(
+              request.events,
+              request.destinationId,
+              (progress) => post({ type: 'progress', ...progress }),
+              (jobId) => post({ type: 'job', jobId }),
+              { filter: request.filter }
+            );
+            post({ type: 'done', result });
+            break;
+          }
+
+          case 'BULK_PATCH_EVENTS': {
+            const result = await this.performBulkPatch(
+              request.events,
+              request.patch,
+              (progress) => post({ type: 'progress', ...progress }),
+              (jobId) => post({ type: 'job', jobId }),
+              { filter: request.filter }
+            );
+            post({ type: 'done', result });
+            break;
+          }
+
+          case 'RESUME_JOB': {
+            await this.jobsReady;
+            const result = await this.resumeJob(
+              request.jobId,
+              (progress) => post({ type: 'progress', ...progress })
+            );
+            post({ type: 'done', result });
+            break;
+          }
+
+          default:
+            post({ type: 'error', error: 'Unknown action' });
+        }
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error('Background port error:', error);
+        post({ type: 'error', error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Event types the Calendar API refuses to delete. Birthdays come from
+   * Google Contacts and have to be removed there.
+   */
+  isUndeletableEventType(eventType) {
+    return eventType === 'birthday';
+  }
+
+  /**
+   * `filter` describes what selected the events (the dialog filters or a
+   * cleanup rule) and is recorded in the audit log with every deletion.
+   */
+  async performBulkDeletion(events, onProgress = null, onJobCreated = null, { filter = null, interactive = true } = {}) {
+    const settings = await this.getSettings();
+    const job = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type: 'delete',
+      state: 'running',
+      running: true,
+      events: [],
+      cursor: 0,
+      results: { successful: [], failed: [], backupId: null },
+      retriesLeft: 100, // Shared by every request the job makes
+      batchSize: settings.batchSize,
+      // Rule runs must never open a sign-in window, even when resumed on wake-up
+      interactive,
+      account: await this.getAccountEmail({ interactive }),
+      filter,
+      createdAt: new Date().toISOString()
+    };
+    this.jobs.set(job.id, job);
+    if (onJobCreated) onJobCreated(job.id);
+
+    const rateLimiter = new RateLimiter(10, 1000); // 10 requests per second
+    const reportProgress = onProgress || (() => {});
+
+    // Don't spend requests on events the API would reject anyway
+    events = events.filter((event) => {
+      if (!this.isUndeletableEventType(event.eventType)) return true;
+      job.results.failed.push({
+        domEventId: event.domEventId,
+        actualEventId: event.actualEventId,
+        title: event.title,
+        error: 'Birthday events cannot be deleted through the Calendar API; remove them in Google Contacts',
+        retryable: false
+      });
+      return false;
+    });
+
+    try {
+      if (await this.isAutoBackupEnabled()) {
+        const backup = await this.backupEvents(events, rateLimiter, job, (done, event) => {
+          if (done % job.batchSize !== 0) return;
+          reportProgress({
+            phase: 'backup',
+            done,
+            failed: 0,
+            remaining: events.length - done,
+            total: events.length,
+            currentTitle: event.title,
+            etaMs: null
+          });
+        });
+        job.results.backupId = backup.snapshotId;
+        job.results.failed.push(...backup.failed);
+        // Never delete an event we could not snapshot first
+        events = backup.deletable;
+      }
+    } catch (error) {
+      this.jobs.delete(job.id);
+      throw error;
+    }
+
+    job.events = events;
+    job.failedBeforeRun = job.results.failed.length;
+    return this.runJob(job, rateLimiter, reportProgress);
+  }
+
+  /**
+   * Moves `events` to the `destinationId` calendar as a resumable job, batched
+   * and rate limited like performBulkDeletion. Events the API refuses to move
+   * are reported as failed without sending a request. No backup is taken: a
+   * moved event can simply be moved back.
+   */
+  async performBulkMove(events, destinationId, onProgress = null, onJobCreated = null, { filter = null } = {}) {
+    if (!destinationId) {
+      throw new Error('Choose the calendar to move the events to.');
+    }
+
+    const settings = await this.getSettings();
+    const job = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type: 'move',
+      state: 'running',
+      running: true,
+      events: [],
+      cursor: 0,
+      results: { successful: [], failed: [], backupId: null },
+      retriesLeft: 100,
+      batchSize: settings.batchSize,
+      destinationId,
+      account: await this.getAccountEmail(),
+      filter,
+      createdAt: new Date().toISOString()
+    };
+    this.jobs.set(job.id, job);
+    if (onJobCreated) onJobCreated(job.id);
+
+    job.events = events.filter((event) => {
+      const reason = this.getMoveSkipReason(event, destinationId);
+      if (!reason) return true;
+      job.results.failed.push({
+        domEventId: event.domEventId,
+        actualEventId: event.actualEventId,
+        title: event.title,
+        error: reason,
+        retryable: false
+      });
+      return false;
+    });
+    job.failedBeforeRun = job.results.failed.length;
+    return this.runJob(job, new RateLimiter(10, 1000), onProgress || (() => {}));
+  }
+
+  /**
+   * Applies `patch` (EventPatch options) to `events` as a resumable job,
+   * batched and rate limited like performBulkDeletion. Each event's patch
+   * body is worked out up front from the event data the page sent, so the
+   * job sends exactly what the dialog previewed. Events that already look
+   * like the result are listed in `unchanged` and never sent.
+   */
+  async performBulkPatch(events, patch, onProgress = null, onJobCreated = null, { filter = null } = {}) {
+    const eventPatch = new EventPatch(patch);
+    if (eventPatch.isEmpty()) {
+      throw new Error('Choose at least one change to make.');
+    }
+
+    const settings = await this.getSettings();
+    const job = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type: 'patch',
+      state: 'running',
+      running: true,
+      events: [],
+      cursor: 0,
+      results: { successful: [], failed: [], unchanged: [], backupId: null },
+      retriesLeft: 100,
+      batchSize: settings.batchSize,
+      account: await this.getAccountEmail(),
+      filter,
+      createdAt: new Date().toISOString()
+    };
+    this.jobs.set(job.id, job);
+    if (onJobCreated) onJobCreated(job.id);
+
+    const rateLimiter = new RateLimiter(10, 1000);
+    for (const event of events) {
+      const entry = {
+        domEventId: event.domEventId,
+        actualEventId: event.actualEventId,
+        calendarId: event.calendarId,
+        title: event.title
+      };
+      let current = event;
+      if (event.fromPage) {
+        // A chip on the page only shows its text, not the event's real title or color
+        try {
+          const resource = await this.withRetry(async () => {
+            await rateLimiter.acquire();
+            return this.getEvent(event.calendarId, event.actualEventId);
+          }, job);
+          current = this.toPatchEvent(resource);
+        } catch (error) {
+          job.results.failed.push({
+            ...entry,
+            error: `Could not read the event: ${error.message}`,
+            retryable: this.isRetryableError(error)
+          });
+          continue;
+        }
+      }
+
+      const { body } = eventPatch.apply(current);
+      if (body) {
+        job.events.push({ ...entry, body });
+      } else {
+        job.results.unchanged.push(entry);
+      }
+    }
+    job.failedBeforeRun = job.results.failed.length;
+    return this.runJob(job, rateLimiter, onProgress || (() => {}));
+  }
+
+  // Shapes an API event like the dialog's events so EventPatch sees the real values
+  toPatchEvent(resource) {
+    return {
+      title: resource.summary || '',
+      description: resource.description || '',
+      colorId: resource.colorId || null,
+      visibility: resource.visibility || 'default',
+      transparency: resource.transparency || 'opaque',
+      reminders: resource.reminders || null
+    };
+  }
+
+  /**
+   * Why the Calendar API would refuse to move `event`, or null. Only the
+   * organizer's copy of a regular event (or of a whole series) can change
+   * calendars. `organizerSelf` is unknown for events read from the page, and
+   * then the API has the last word.
+   */
+  getMoveSkipReason(event, destinationId) {
+    if (event.calendarId === destinationId) {
+      return 'The event is already in that calendar';
+    }
+    if (event.eventType && event.eventType !== 'default') {
+      return `Only regular events can be moved; this is a ${event.eventType} event`;
+    }
+    if (event.recurringEventId) {
+      return 'Single occurrences of a recurring event cannot be moved; move the whole series instead';
+    }
+    if (event.organizerSelf === false) {
+      return 'Only the organizer can move this event';
+    }
+    return null;
+  }
+
+  /**
+   * Dry run of performBulkDeletion: checks every event the way a real run
+   * would and reports what would be deleted and what would be skipped, without
+   * sending any DELETE (or creating a job or backup).
+   */
+  async planBulkDeletion(events, onProgress = null) {
+    const rateLimiter = new RateLimiter(10, 1000);
+    const budget = { retriesLeft: 100 };
+    const reportProgress = onProgress || (() => {});
+    const calendars = await this.listCalendars();
+    const accessRoles = new Map(calendars.map(calendar => [calendar.id, calendar.accessRole]));
+    const wouldDelete = [];
+    const skipped = [];
+
+    for (const [index, event] of events.entries()) {
+      const entry = {
+        domEventId: event.domEventId,
+        actualEventId: event.actualEventId,
+        calendarId: event.calendarId,
+        title: event.title,
+        operation: event.operation || 'delete',
+        truncateFrom: event.truncateFrom
+      };
+      const reason = await this.getSkipReason(event, accessRoles, rateLimiter, budget);
+      if (reason) {
+        skipped.push({ ...entry, reason });
+      } else {
+        wouldDelete.push(entry);
+      }
+
+      reportProgress({
+        phase: 'check',
+        done: wouldDelete.length,
+        failed: skipped.length,
+        remaining: events.length - index - 1,
+        total: events.length,
+        currentTitle: event.title,
+        etaMs: null
+      });
+    }
+
+    return { dryRun: true, wouldDelete, skipped, checkedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Why a real run would not delete `event`, or null if it would. Reads the
+   * event (never writes), so missing events and permission problems show up.
+   */
+  async getSkipReason(event, accessRoles, rateLimiter, budget) {
+    if (this.isUndeletableEventType(event.eventType)) {
+      return 'Birthday events cannot be deleted through the Calendar API; remove them in Google Contacts';
+    }
+    // Calendars missing from the list are checked through the event itself
+    const accessRole = accessRoles.get(event.calendarId);
+    if (accessRole && !['owner', 'writer'].includes(accessRole)) {
+      return `You only have ${accessRole} access to this calendar`;
+    }
+
+    let resource;
+    try {
+      resource = await this.withRetry(async () => {
+        await rateLimiter.acquire();
+        return this.getEvent(event.calendarId, event.actualEventId);
+      }, budget);
+    } catch (error) {
+      if (error.status === 404 || error.status === 410) {
+        return 'The event no longer exists';
+      }
+      if (error.status === 403) {
+        return `No permission to change this event: ${error.message}`;
+      }
+      return `Could not check the event: ${error.message}`;
+    }
+    if (resource.status === 'cancelled') {
+      return 'The event is already deleted';
+    }
+    return null;
+  }
+
+  async restoreJobs() {
+    try {
+      const stored = await this.jobStore.listJobs();
+      for (const record of stored) {
+        const job = { ...record, running: false };
+        this.jobs.set(job.id, job);
+        
+        // A job still marked running was cut off when the worker was terminated
+        if (job.state === 'running') {
+          // eslint-disable-next-line no-console
+          console.log('Resuming interrupted job', job.id, 'at', job.cursor, 'of', job.events.length);
+          this.runJob(job).catch((error) => {
+            // eslint-disable-next-line no-console
+            console.error('Resumed job failed:', error);
+          });
+        }
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to restore jobs:', error);
+    }
+  }
+
+  async persistJob(job) {
+    try {
+      if (job.state === 'running' || job.state === 'paused') {
+        await this.jobStore.saveJob(job);
+      } else {
+        await this.jobStore.deleteJob(job.id);
+      }
+    } catch (error) {
+      // Losing the checkpoint is no reason to stop deleting
+      // eslint-disable-next-line no-console
+      console.error('Failed to persist job:', error);
+    }
+  }
+
+  /**
+   * Works through the job's queue from its cursor. Pause and cancel requests
+   * are honoured between batches, so no request is ever cut off mid-flight.
+   */
+  async runJob(job, rateLimiter = new RateLimiter(10, 1000), reportProgress = () => {}) {
+    // Jobs saved before the setting existed used the endpoint maximum
+    const batchSize = job.batchSize || 50;
+    const { events, results } = job;
+    const startedAt = Date.now();
+    const startCursor = job.cursor;
+    job.running = true;
+    await this.persistJob(job);
+    
+    try {
+      while (job.cursor < events.length && job.state === 'running') {
+        const batch = events.slice(job.cursor, job.cursor + batchSize);
+        const failedBeforeBatch = results.failed.length;
+        
+        try {
+          const batchResults = job.type === 'move' || job.type === 'patch'
+            ? await this.runUpdateBatch(batch, rateLimiter, job)
+            : await this.runBatch(batch, rateLimiter, job);
+          
+          batchResults.forEach((result, index) => {
+            const event = batch[index];
+            if (result.status === 'fulfilled') {
+              results.successful.push(result.value);
+            } else {
+              results.failed.push({
+                domEventId: event.domEventId,
+                actualEventId: event.actualEventId,
+                title: event.title,
+                error: result.reason.message,
+                retryable: this.isRetryableError(result.reason)
+              });
+            }
+          });
+          
+        } catch (batchError) {
+          batch.forEach(event => {
+            results.failed.push({ 
+              domEventId: event.domEventId,
+              actualEventId: event.actualEventId,
+              title: event.title,
+              error: batchError.message, 
+              retryable: true 
+            });
+          });
+        }
+        
+        // The audit log records deletions; moved and edited events still exist
+        if (job.type === 'delete') {
+          await this.recordAudit(job, batch, results.failed.slice(failedBeforeBatch));
+        }
+        job.cursor += batch.length;
+        await this.persistJob(job);
+        const processedThisRun = job.cursor - startCursor;
+        const elapsed = Date.now() - startedAt;
+        reportProgress({
+          phase: job.type,
+          done: results.successful.length,
+          failed: results.failed.length - job.failedBeforeRun,
+          remaining: events.length - job.cursor,
+          total: events.length,
+          currentTitle: batch[batch.length - 1].title,
+          etaMs: Math.round((elapsed / processedThisRun) * (events.length - job.cursor))
+        });
+      }
+    } finally {
+      job.running = false;
+    }
+    
+    if (job.state === 'running') {
+      job.state = 'completed';
+    }
+    if (job.state !== 'paused') {
+      this.jobs.delete(job.id);
+      if (job.type === 'delete' && job.results.backupId) {
+        await this.trimBackup(job);
+      }
+    }
+    await this.persistJob(job);
+    
+    return this.getJobResult(job);
+  }
+
+  /**
+   * Once a deletion is over, its backup keeps only the events that were
+   * actually deleted; undoing a pass that partly failed would otherwise
+   * import copies of events that are still there. A storage failure is
+   * logged and leaves the full backup in place.
+   */
+  async trimBackup(job) {
+    const deleted = new Set(job.results.successful.map(result => result.actualEventId));
+    try {
+      job.results.backupId = await this.backupManager.keepEvents(job.results.backupId, deleted);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to trim the backup:', error);
+    }
+  }
+
+  /**
+   * Appends one audit entry per event of a finished batch. A storage failure
+   * is logged but never stops the deletion.
+   */
+  async recordAudit(job, batch, failures) {
+    const errors = new Map(failures.map(failure => [failure.domEventId, failure.error]));
+    const at = new Date().toISOString();
+    
+    try {
+      await this.auditLog.append(batch.map((event) => {
+        const error = errors.get(event.domEventId);
+        let result = event.operation === 'truncate' ? 'series ended' : 'deleted';
+        if (error !== undefined) result = 'failed';
+        return {
+          at,
+          account: job.account || null,
+          calendarId: event.calendarId,
+          eventId: event.actualEventId,
+          title: event.title,
+          start: event.startTime || null,
+          result,
+          error: error || null,
+          filter: job.filter || null,
+          jobId: job.id
+        };
+      }));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to write the audit log:', error);
+    }
+  }
+
+  /**
+   * The account the deletions run as, for the audit log. The primary
+   * calendar's id is the account's email address.
+   */
+  async getAccountEmail({ interactive = true } = {}) {
+    if (!this.accountEmail) {
+      try {
+        const primary = await this.calendarRequest(
+          'https://www.googleapis.com/calendar/v3/users/me/calendarList/primary',
+          { interactive }
+        );
+        this.accountEmail = primary.id;
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('Could not look up the account for the audit log:', error);
+      }
+    }
+    return this.accountEmail;
+  }
+
+  /**
+   * Deletes a batch of queued events, packing plain deletes into a single
+   * batch request. Series truncations, parts that were rate limited, and
+   * every delete when the batch call fails as a whole, go out one request at
+   * a time. Retries draw on the job's shared `budget`. An event that is
+   * already gone (404 or 410) counts as deleted.
+   */
+  async runBatch(batch, rateLimiter, budget = { retriesLeft: 0 }) {
+    // Jobs saved before rule runs existed were all started by someone
+    const auth = { interactive: budget.interactive !== false };
+    const plainDeletes = batch.filter(event => event.operation !== 'truncate');
+    let batchErrors = null;
+    
+    if (plainDeletes.length > 1) {
+      try {
+        batchErrors = await this.withRetry(async () => {
+          await rateLimiter.acquire();
+          return this.deleteEventsInBatch(plainDeletes, auth);
+        }, budget);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('Batch request failed, deleting events one by one:', error.message);
+      }
+    }
+    
+    return Promise.allSettled(
+      batch.map(async (event) => {
+        const batchIndex = batchErrors ? plainDeletes.indexOf(event) : -1;
+        const batchError = batchIndex === -1 ? null : batchErrors[batchIndex];
+        
+        if (batchIndex === -1 || batchError) {
+          try {
+            // A failed batch part counts as the first attempt
+            await this.withRetry(async () => {
+              await rateLimiter.acquire();
+              if (event.operation === 'truncate') {
+                await this.truncateSeries(event.calendarId, event.actualEventId, event.truncateFrom);
+              } else {
+                await this.deleteEvent(event.calendarId, event.actualEventId, auth);
+              }
+            }, budget, batchError);
+          } catch (error) {
+            // Already gone, e.g. a batch resent after the worker died before
+            // saving its cursor
+            if (error.status !== 404 && error.status !== 410) throw error;
+          }
+        }
+        return { 
+          domEventId: event.domEventId, 
+          actualEventId: event.actualEventId, 
+          title: event.title 
+        };
+      })
+    );
+  }
+
+  /**
+   * Moves a batch of queued events to the job's destination calendar, or
+   * patches them, with a single batch request, falling back to one request
+   * per event the same way runBatch does.
+   */
+  async runUpdateBatch(batch, rateLimiter, job) {
+    const { sendBatch, sendOne } = job.type === 'move'
+      ? {
+        sendBatch: () => this.moveEventsInBatch(batch, job.destinationId),
+        sendOne: event => this.moveEvent(event.calendarId, event.actualEventId, job.destinationId)
+      }
+      : {
+        sendBatch: () => this.patchEventsInBatch(batch),
+        sendOne: event => this.patchEvent(event.calendarId, event.actualEventId, event.body)
+      };
+    let batchErrors = null;
+    
+    if (batch.length > 1) {
+      try {
+        batchErrors = await this.withRetry(async () => {
+          await rateLimiter.acquire();
+          return sendBatch();
+        }, job);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('Batch request failed, sending events one by one:', error.message);
+      }
+    }
+    
+    return Promise.allSettled(
+      batch.map(async (event, index) => {
+        const batchError = batchErrors ? batchErrors[index] : null;
+        
+        if (!batchErrors || batchError) {
+          await this.withRetry(async () => {
+            await rateLimiter.acquire();
+            await sendOne(event);
+          }, job, batchError);
+        }
+        return {
+          domEventId: event.domEventId,
+          actualEventId: event.actualEventId,
+          title: event.title
+        };
+      })
+    );
+  }
+
+  /**
+   * Runs `operation`, retrying retryable failures with exponential backoff
+   * and jitter (or the server's Retry-After). Every retry spends one unit of
+   * `budget.retriesLeft`; when the budget or `maxRetries` runs out, the last
+   * error is thrown. `previousError` is a failure that already happened.
+   */
+  async withRetry(operation, budget, previousError = null, maxRetries = 5) {
+    let lastError = previousError;
+    
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      if (lastError) {
+        if (!this.isRetryableError(lastError) || budget.retriesLeft <= 0) {
+          throw lastError;
+        }
+        budget.retriesLeft -= 1;
+        await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(lastError, retry)));
+      }
+      
+      try {
+        return await operation();
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    
+    throw lastError;
+  }
+
+  getRetryDelay(error, retry) {
+    const jitter = Math.random() * 1000;
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      return error.retryAfterMs + jitter;
+    }
+    return Math.min(1000 * 2 ** retry, 32000) + jitter;
+  }
+
+  getJobResult(job) {
+    return {
+      ...job.results,
+      jobId: job.id,
+      status: job.state,
+      remaining: job.events.length - job.cursor
+    };
+  }
+
+  summarizeJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      state: job.state,
+      running: job.running,
+      total: job.events.length,
+      processed: job.cursor,
+      successful: job.results.successful.length,
+      failed: job.results.failed.length,
+      createdAt: job.createdAt
+    };
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error('This job is no longer available.');
+    }
+    return job;
+  }
+
+  pauseJob(jobId) {
+    const job = this.getJob(jobId);
+    if (job.state === 'running') {
+      job.state = 'paused';
+    }
+    return this.getJobResult(job);
+  }
+
+  resumeJob(jobId, onProgress) {
+    const job = this.getJob(jobId);
+    if (job.running) {
+      throw new Error('This job is still running.');
+    }
+    job.state = 'running';
+    // Resuming from the popup means someone is there to sign in
+    job.interactive = true;
+    return this.runJob(job, new RateLimiter(10, 1000), onProgress);
+  }
+
+  async cancelJob(jobId) {
+    const job = this.getJob(jobId);
+    job.state = 'cancelled';
+    // A running loop cleans up after its current batch; an idle one is done now
+    if (!job.running) {
+      this.jobs.delete(job.id);
+      if (job.type === 'delete' && job.results.backupId) {
+        await this.trimBackup(job);
+      }
+      await this.persistJob(job);
+    }
+    return this.getJobResult(job);
+  }
+
+  /**
+   * Validates a rule from the popup and (re)arms its alarm. Saving an
+   * existing rule keeps its run history.
+   */
+  async saveRule(input) {
+    const existing = input.id ? await this.ruleStore.getRule(input.id) : null;
+    const rule = {
+      id: existing?.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      ...this.normalizeRule(input),
+      history: existing?.history || [],
+      lastRun: existing?.lastRun || null,
+      createdAt: existing?.createdAt || new Date().toISOString()
+    };
+    await this.scheduleRule(rule);
+    await this.ruleStore.saveRule(rule);
+    return rule;
+  }
+
+  normalizeRule(input) {
+    const name = (input.name || '').trim();
+    if (!name) {
+      throw new Error('Give the rule a name.');
+    }
+    if (!input.calendarId) {
+      throw new Error('Choose the calendar the rule cleans up.');
+    }
+
+    // An empty filter would match every event in the calendar
+    const query = (input.query || '').trim();
+    if (!query) {
+      throw new Error('Rules need a filter.');
+    }
+    const { error } = EventQuery.tryParse(query);
+    if (error) {
+      throw new Error(`Invalid filter: ${error.message}`);
+    }
+
+    const schedule = input.schedule || {};
+    if (!['daily', 'weekly'].includes(schedule.frequency)) {
+      throw new Error('Rules run daily or weekly.');
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time || '')) {
+      throw new Error('Choose a time of day for the rule to run.');
+    }
+    const dayOfWeek = Number(schedule.dayOfWeek);
+    if (schedule.frequency === 'weekly' && !(Number.isInteger(dayOfWeek) && dayOfWeek >= 0 && dayOfWeek <= 6)) {
+      throw new Error('Choose the day of the week the rule runs on.');
+    }
+
+    const olderThanDays = Number(input.olderThanDays ?? 0);
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      throw new Error('"Older than" must be a whole number of days.');
+    }
+    const maxDeletions = Number(input.maxDeletions);
+    if (!Number.isInteger(maxDeletions) || maxDeletions < 1) {
+      throw new Error('The deletion limit must be at least 1.');
+    }
+
+    return {
+      name,
+      enabled: input.enabled !== false,
+      calendarId: input.calendarId,
+      calendarName: input.calendarName || input.calendarId,
+      query,
+      olderThanDays,
+      maxDeletions,
+      schedule: {
+        frequency: schedule.frequency,
+        dayOfWeek: schedule.frequency === 'weekly' ? dayOfWeek : null,
+        time: schedule.time
+      }
+    };
+  }
+
+  async deleteRule(ruleId) {
+    await chrome.alarms.clear(this.ruleAlarmName(ruleId));
+    await this.ruleStore.deleteRule(ruleId);
+  }
+
+  ruleAlarmName(ruleId) {
+    return `rule:${ruleId}`;
+  }
+
+  /**
+   * Next local time the schedule is due after `from`. Rules use one-shot
+   * alarms re-armed after every run, so daylight saving changes never shift
+   * the time of day.
+   */
+  getNextRunTime(schedule, from = new Date()) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const next = new Date(from);
+    next.setHours(hours, minutes, 0, 0);
+    if (schedule.frequency === 'weekly') {
+      next.setDate(next.getDate() + ((schedule.dayOfWeek - next.getDay() + 7) % 7));
+    }
+    if (next <= from) {
+      next.setDate(next.getDate() + (schedule.frequency === 'weekly' ? 7 : 1));
+    }
+    return next;
+  }
+
+  async scheduleRule(rule) {
+    await chrome.alarms.clear(this.ruleAlarmName(rule.id));
+    if (!rule.enabled) {
+      rule.nextRunAt = null;
+      return;
+    }
+
+    const when = this.getNextRunTime(rule.schedule);
+    rule.nextRunAt = when.toISOString();
+    await chrome.alarms.create(this.ruleAlarmName(rule.id), { when: when.getTime() });
+  }
+
+  async scheduleRules() {
+    try {
+      const rules = await this.ruleStore.listRules();
+      for (const rule of rules) {
+        if (!rule.enabled || await chrome.alarms.get(this.ruleAlarmName(rule.id))) continue;
+        
+        if (rule.nextRunAt && new Date(rule.nextRunAt) <= new Date()) {
+          // Due while Chrome was closed; running re-arms the alarm
+          await this.runRule(rule.id);
+        } else {
+          await this.scheduleRule(rule);
+          await this.ruleStore.saveRule(rule);
+        }
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to schedule cleanup rules:', error);
+    }
+  }
+
+  handleAlarm(alarm) {
+    if (!alarm.name.startsWith('rule:')) return;
+    
+    this.runRule(alarm.name.slice('rule:'.length)).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error('Cleanup rule failed:', error);
+    });
+  }
+
+  /**
+   * Runs a rule once and records the outcome in its history. Failures are
+   * recorded rather than thrown so the rule stays on schedule.
+   */
+  async runRule(ruleId) {
+    if (this.runningRules.has(ruleId)) {
+      throw new Error('This rule is already running.');
+    }
+    // Claimed before the first await, so an alarm and "Run now" can't both start it
+    this.runningRules.add(ruleId);
+
+    const ranAt = new Date();
+    let outcome;
+    try {
+      const rule = await this.ruleStore.getRule(ruleId);
+      if (!rule) {
+        throw new Error('This rule no longer exists.');
+      }
+      try {
+        outcome = await this.executeRule(rule, ranAt);
+      } catch (error) {
+        outcome = { status: 'failed', matched: 0, deleted: 0, failed: 0, error: error.message };
+      }
+    } finally {
+      this.runningRules.delete(ruleId);
+    }
+    const run = { ranAt: ranAt.toISOString(), ...outcome };
+
+    // The rule may have been edited or deleted while it ran
+    const latest = await this.ruleStore.getRule(ruleId);
+    if (latest) {
+      latest.lastRun = run;
+      latest.history = [run, ...(latest.history || [])].slice(0, this.ruleStore.maxHistory);
+      await this.scheduleRule(latest);
+      await this.ruleStore.saveRule(latest);
+    }
+    return run;
+  }
+
+  async executeRule(rule, now = new Date()) {
+    // Never open a sign-in window from an alarm; the user signs in from the popup
+    if (!await this.authManager.getCachedToken()) {
+      throw new Error('Not signed in. Open the extension and sign in so rules can run.');
+    }
+    const { query, error } = EventQuery.tryParse(rule.query);
+    if (error) {
+      throw new Error(`Invalid filter: ${error.message}`);
+    }
+
+    const cutoff = new Date(now.getTime() - rule.olderThanDays * 24 * 60 * 60 * 1000);
+    const isMatch = item => (
+      item.status !== 'cancelled' &&
+      !this.isUndeletableEventType(item.eventType) &&
+      query.matches(this.toQueryEvent(item, rule))
+    );
+    // The whole history before the cutoff is searched, but paging stops as
+    // soon as the run is over its cap
+    let matchCount = 0;
+    const items = await this.getCalendarEvents(rule.calendarId, { timeMax: cutoff.toISOString() }, (page) => {
+      matchCount += page.filter(isMatch).length;
+      return matchCount <= rule.maxDeletions;
+    }, { interactive: false });
+    const matches = items.filter(isMatch);
+
+    // The cap is a safety net for a bad filter, so going over it deletes nothing
+    if (matches.length > rule.maxDeletions) {
+      return {
+        status: 'capped',
+        matched: matches.length,
+        deleted: 0,
+        failed: 0,
+        error: `Matched more than the limit of ${rule.maxDeletions} events; nothing was deleted`
+      };
+    }
+    if (matches.length === 0) {
+      return { status: 'success', matched: 0, deleted: 0, failed: 0 };
+    }
+
+    const result = await this.performBulkDeletion(matches.map(item => ({
+      domEventId: item.id,
+      actualEventId: item.id,
+      calendarId: rule.calendarId,
+      eventType: item.eventType,
+      title: item.summary || '(No title)',
+      startTime: item.start?.dateTime || item.start?.date
+    })), null, null, {
+      filter: `Rule "${rule.name}": ${rule.query} (older than ${rule.olderThanDays} days)`,
+      interactive: false
+    });
+
+    let status = 'success';
+    if (result.status === 'cancelled') {
+      status = 'cancelled';
+    } else if (result.failed.length > 0) {
+      status = result.successful.length > 0 ? 'partial' : 'failed';
+    }
+    return {
+      status,
+      matched: matches.length,
+      deleted: result.successful.length,
+      failed: result.failed.length,
+      error: result.failed[0]?.error,
+      backupId: result.backupId
+    };
+  }
+
+  // Shapes an API event like the dialog's events so query fields line up
+  toQueryEvent(item, rule) {
+    return {
+      title: item.summary || '',
+      location: item.location,
+      description: item.description,
+      calendarId: rule.calendarId,
+      calendarName: rule.calendarName,
+      organizer: item.organizer?.email,
+      organizerName: item.organizer?.displayName,
+      attendees: (item.attendees || []).map(attendee => ({
+        email: attendee.email,
+        displayName: attendee.displayName
+      }))
+    };
+  }
+
+  async getSettings() {
+    return new SettingsStore().load();
+  }
+
+  async isAutoBackupEnabled() {
+    const { autoBackup } = await this.getSettings();
+    return autoBackup;
+  }
+
+  async backupEvents(events, rateLimiter, budget = { retriesLeft: 0 }, onProgress = () => {}) {
+    const auth = { interactive: budget.interactive !== false };
+    const snapshotEvents = [];
+    const deletable = [];
+    const failed = [];
+
+    for (const [index, event] of events.entries()) {
+      onProgress(index, event);
+      try {
+        const resource = await this.withRetry(async () => {
+          await rateLimiter.acquire();
+          return this.getEvent(event.calendarId, event.actualEventId, auth);
+        }, budget);
+        snapshotEvents.push({ calendarId: event.calendarId, resource });
+        deletable.push(event);
+      } catch (error) {
+        if (error.status === 404 || error.status === 410) {
+          // Already gone on the server, nothing to back up
+          deletable.push(event);
+        } else {
+          failed.push({
+            domEventId: event.domEventId,
+            actualEventId: event.actualEventId,
+            title: event.title,
+            error: `Backup failed: ${error.message}`,
+            retryable: this.isRetryableError(error)
+          });
+        }
+      }
+    }
+
+    const snapshotId = snapshotEvents.length > 0
+      ? await this.backupManager.saveSnapshot(snapshotEvents)
+      : null;
+
+    return { snapshotId, deletable, failed };
+  }
+
+  async getEventResources(events, { expandSeries = false } = {}) {
+    const resources = [];
+    const failed = [];
+    const seen = new Set();
+    const rateLimiter = new RateLimiter(10, 1000);
+
+    for (const event of events) {
+      try {
+        await rateLimiter.acquire();
+        let resource = await this.getEvent(event.calendarId, event.actualEventId);
+
+        // Swap single instances for their series master so RRULE/EXDATE survive
+        if (expandSeries && resource.recurringEventId) {
+          if (seen.has(`${event.calendarId}/${resource.recurringEventId}`)) continue;
+          await rateLimiter.acquire();
+          resource = await this.getEvent(event.calendarId, resource.recurringEventId);
+        }
+
+        const key = `${event.calendarId}/${resource.id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        resources.push({ calendarId: event.calendarId, resource });
+      } catch (error) {
+        failed.push({
+          actualEventId: event.actualEventId,
+          title: event.title,
+          error: error.message
+        });
+      }
+    }
+
+    return { resources, failed };
+  }
+
+  async restoreBackup(snapshotId) {
+    const snapshot = await this.backupManager.getSnapshot(snapshotId);
+    if (!snapshot) {
+      throw new Error('Backup not found. It may have expired.');
+    }
+
+    const results = { restored: [], failed: [] };
+    const rateLimiter = new RateLimiter(10, 1000);
+
+    for (const { calendarId, resource } of snapshot.events) {
+      try {
+        await rateLimiter.acquire();
+        await this.restoreEvent(calendarId, resource);
+        results.restored.push({ actualEventId: resource.id, title: resource.summary });
+      } catch (error) {
+        results.failed.push({
+          actualEventId: resource.id,
+          title: resource.summary,
+          error: error.message,
+          retryable: this.isRetryableError(error)
+        });
+      }
+    }
+
+    await this.backupManager.markRestored(snapshotId);
+    return results;
+  }
+
+  async restoreEvent(calendarId, resource) {
+    const encodedCalendarId = encodeURIComponent(calendarId);
+    const baseUrl = `https://www.googleapis.com/calendar/v3/calendars/${encodedCalendarId}/events`;
+
+    if (resource.recurringEventId) {
+      // A deleted instance is a cancelled exception of its series; un-cancel it in place
+      return this.calendarRequest(`${baseUrl}/${encodeURIComponent(resource.id)}`, {
+        method: 'PUT',
+        body: { ...this.toImportResource(resource), status: 'confirmed' }
+      });
+    }
+
+    // import only takes regular events; status events are recreated with their type properties
+    const typeProperties = {
+      focusTime: 'focusTimeProperties',
+      outOfOffice: 'outOfOfficeProperties',
+      workingLocation: 'workingLocationProperties'
+    }[resource.eventType];
+    if (typeProperties) {
+      const body = this.toImportResource(resource);
+      delete body.iCalUID;
+      return this.calendarRequest(baseUrl, {
+        method: 'POST',
+        body: { ...body, status: 'confirmed', eventType: resource.eventType, [typeProperties]: resource[typeProperties] }
+      });
+    }
+
+    // import keeps the original iCalUID and revives the cancelled event instead of duplicating it
+    return this.calendarRequest(`${baseUrl}/import?conferenceDataVersion=1`, {
+      method: 'POST',
+      body: { ...this.toImportResource(resource), status: 'confirmed' }
+    });
+  }
+
+  toImportResource(resource) {
+    const importable = [
+      'iCalUID', 'summary', 'description', 'location', 'start', 'end', 'recurrence',
+      'originalStartTime', 'attendees', 'reminders', 'organizer', 'colorId', 'transparency',
+      'visibility', 'sequence', 'extendedProperties', 'conferenceData', 'attachments',
+      'guestsCanInviteOthers', 'guestsCanModify', 'guestsCanSeeOtherGuests', 'source'
+    ];
+    return Object.fromEntries(
+      importable.filter(key => resource[key] !== undefined).map(key => [key, resource[key]])
+    );
+  }
+
+  /**
+   * Sends one Calendar API request. A 401 drops the cached token and tries
+   * once more with a fresh one; a second 401 is thrown as an ApiError.
+   */
+  async calendarRequest(url, { method = 'GET', body, interactive = true, tokenRefreshed = false } = {}) {
+    const token = await this.authManager.getValidToken({ interactive });
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      if (response.status === 401 && !tokenRefreshed) {
+        chrome.identity.removeCachedAuthToken({ token });
+        return this.calendarRequest(url, { method, body, interactive, tokenRefreshed: true });
       }
-      
-      // Progress update (simplified for now)
-      // const progress = Math.min((i + batchSize) / eventIds.length, 1);
+      throw await ApiError.fromResponse(response);
     }
-    
-    return results;
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  async getEvent(calendarId, eventId, { interactive = true } = {}) {
+    const encodedCalendarId = encodeURIComponent(calendarId);
+    const encodedEventId = encodeURIComponent(eventId);
+    return this.calendarRequest(
+      `https://www.googleapis.com/calendar/v3/calendars/${encodedCalendarId}/events/${encodedEventId}`,
+      { interactive }
+    );
   }
 
-  async deleteEvent(calendarId, eventId) {
-    const token = await this.authManager.getValidToken();
+  async deleteEvent(calendarId, eventId, { interactive = true, tokenRefreshed = false } = {}) {
+    const token = await this.authManager.getValidToken({ interactive });
     // eslint-disable-next-line no-console
     console.log('Attempting to delete event:', eventId, 'from calendar:', calendarId);
     const encodedCalendarId = encodeURIComponent(calendarId);
@@ -150,73 +1479,248 @@ class MessageRouter {
     );
 
     if (!response.ok) {
-      if (response.status === 401) {
+      if (response.status === 401 && !tokenRefreshed) {
         // Token expired, retry once
         chrome.identity.removeCachedAuthToken({ token });
-        return this.deleteEvent(calendarId, eventId);
+        return this.deleteEvent(calendarId, eventId, { interactive, tokenRefreshed: true });
       }
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw await ApiError.fromResponse(response);
     }
 
     return eventId;
   }
 
-  async getCalendarEvents(calendarId = 'primary', filters = {}) {
-    const token = await this.authManager.getValidToken();
-    const params = new URLSearchParams({
-      maxResults: filters.maxResults || '2500',
-      singleEvents: 'true',
-      orderBy: 'startTime'
-    });
+  /**
+   * Moves an event to another calendar, which makes that calendar the
+   * event's organizer.
+   */
+  async moveEvent(calendarId, eventId, destinationId) {
+    const encodedCalendarId = encodeURIComponent(calendarId);
+    const encodedEventId = encodeURIComponent(eventId);
+    return this.calendarRequest(
+      `https://www.googleapis.com/calendar/v3/calendars/${encodedCalendarId}/events/${encodedEventId}/move?destination=${encodeURIComponent(destinationId)}`,
+      { method: 'POST' }
+    );
+  }
+
+  async patchEvent(calendarId, eventId, body) {
+    const encodedCalendarId = encodeURIComponent(calendarId);
+    const encodedEventId = encodeURIComponent(eventId);
+    return this.calendarRequest(
+      `https://www.googleapis.com/calendar/v3/calendars/${encodedCalendarId}/events/${encodedEventId}`,
+      { method: 'PATCH', body }
+    );
+  }
 
-    if (filters.timeMin) params.append('timeMin', filters.timeMin);
-    if (filters.timeMax) params.append('timeMax', filters.timeMax);
-    if (filters.q) params.append('q', filters.q);
+  /**
+   * Sends one DELETE per event through the batch endpoint. Resolves with an
+   * entry per event: null when it was deleted, otherwise the Error for that
+   * part. Rejects only when the batch request itself fails.
+   */
+  async deleteEventsInBatch(events, { interactive = true } = {}) {
+    return this.sendBatch(events.map(event => ({
+      method: 'DELETE',
+      path: `/calendar/v3/calendars/${encodeURIComponent(event.calendarId)}/events/${encodeURIComponent(event.actualEventId)}`
+    })), { interactive });
+  }
 
-    const response = await fetch(
-      `https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events?${params}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
+  /**
+   * Batch counterpart of moveEvent, resolving like deleteEventsInBatch.
+   */
+  async moveEventsInBatch(events, destinationId) {
+    return this.sendBatch(events.map(event => ({
+      method: 'POST',
+      path: `/calendar/v3/calendars/${encodeURIComponent(event.calendarId)}/events/${encodeURIComponent(event.actualEventId)}/move?destination=${encodeURIComponent(destinationId)}`
+    })));
+  }
+
+  /**
+   * Batch counterpart of patchEvent; each queued event carries its own body.
+   */
+  async patchEventsInBatch(events) {
+    return this.sendBatch(events.map(event => ({
+      method: 'PATCH',
+      path: `/calendar/v3/calendars/${encodeURIComponent(event.calendarId)}/events/${encodeURIComponent(event.actualEventId)}`,
+      body: event.body
+    })));
+  }
+
+  async sendBatch(requests, { interactive = true, tokenRefreshed = false } = {}) {
+    const batch = new BatchRequest();
+    const body = batch.build(requests);
+    
+    const token = await this.authManager.getValidToken({ interactive });
+    const response = await fetch('https://www.googleapis.com/batch/calendar/v3', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': `multipart/mixed; boundary=${batch.boundary}`
+      },
+      body
+    });
+    
+    if (!response.ok) {
+      if (response.status === 401 && !tokenRefreshed) {
+        chrome.identity.removeCachedAuthToken({ token });
+        return this.sendBatch(requests, { interactive, tokenRefreshed: true });
+      }
+      throw await ApiError.fromResponse(response);
+    }
+    
+    const parts = batch.parse(response.headers.get('Content-Type'), await response.text(), requests.length);
+    return parts.map((part) => {
+      if (!part) {
+        // Treat a missing part like a server hiccup so it gets another go
+        return new ApiError(503, 'No response for this event in the batch');
       }
+      if (part.status >= 200 && part.status < 300) return null;
+      return ApiError.fromBody(part.status, part.statusText, part.body, part.headers['retry-after']);
+    });
+  }
+
+  async truncateSeries(calendarId, masterEventId, from) {
+    const master = await this.getEvent(calendarId, masterEventId);
+    const seriesStart = new Date(master.start?.dateTime || master.start?.date);
+
+    // Cutting at or before the first occurrence leaves nothing to keep
+    if (new Date(from) <= seriesStart) {
+      return this.deleteEvent(calendarId, masterEventId);
+    }
+
+    const recurrence = this.truncateRecurrence(master.recurrence || [], from, Boolean(master.start?.date));
+    const encodedCalendarId = encodeURIComponent(calendarId);
+    const encodedEventId = encodeURIComponent(masterEventId);
+    await this.calendarRequest(
+      `https://www.googleapis.com/calendar/v3/calendars/${encodedCalendarId}/events/${encodedEventId}`,
+      { method: 'PATCH', body: { recurrence } }
     );
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch events: ${response.statusText}`);
+    return masterEventId;
+  }
+
+  truncateRecurrence(recurrence, from, allDay) {
+    const cutoff = new Date(from);
+    let until;
+    if (allDay) {
+      // DATE-valued series need a DATE-valued UNTIL: the day before the cutoff
+      const dayBefore = new Date(Date.UTC(cutoff.getUTCFullYear(), cutoff.getUTCMonth(), cutoff.getUTCDate() - 1));
+      until = dayBefore.toISOString().slice(0, 10).replace(/-/g, '');
+    } else {
+      until = new Date(cutoff.getTime() - 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
     }
 
-    const data = await response.json();
-    return data.items || [];
+    return recurrence.map(line => {
+      if (!line.startsWith('RRULE:')) return line;
+      const parts = line.slice('RRULE:'.length).split(';')
+        .filter(part => !/^(UNTIL|COUNT)=/.test(part));
+      return `RRULE:${[...parts, `UNTIL=${until}`].join(';')}`;
+    });
+  }
+
+  async listCalendars() {
+    const calendars = [];
+    let pageToken = null;
+
+    do {
+      const params = new URLSearchParams({ maxResults: '250' });
+      if (pageToken) params.append('pageToken', pageToken);
+
+      const data = await this.calendarRequest(
+        `https://www.googleapis.com/calendar/v3/users/me/calendarList?${params}`
+      );
+      (data.items || []).forEach(item => {
+        calendars.push({
+          id: item.id,
+          summary: item.summaryOverride || item.summary,
+          backgroundColor: item.backgroundColor,
+          accessRole: item.accessRole,
+          primary: Boolean(item.primary)
+        });
+      });
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    // Primary first, then alphabetical
+    return calendars.sort((a, b) => (b.primary - a.primary) || a.summary.localeCompare(b.summary));
+  }
+
+  /**
+   * Fetches every event in the range, following nextPageToken until the
+   * API has nothing left. `onPage` is called with each page as it arrives;
+   * returning false from it stops after that page.
+   */
+  async getCalendarEvents(calendarId = 'primary', filters = {}, onPage = null, { interactive = true } = {}) {
+    const events = [];
+    let pageToken = null;
+
+    do {
+      const params = new URLSearchParams({
+        maxResults: String(Math.min(Number(filters.maxResults) || 2500, 2500)),
+        singleEvents: 'true',
+        orderBy: 'startTime'
+      });
+
+      if (filters.timeMin) params.append('timeMin', filters.timeMin);
+      if (filters.timeMax) params.append('timeMax', filters.timeMax);
+      if (filters.q) params.append('q', filters.q);
+      if (pageToken) params.append('pageToken', pageToken);
+
+      let data;
+      try {
+        data = await this.calendarRequest(
+          `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events?${params}`,
+          { interactive }
+        );
+      } catch (error) {
+        error.message = `Failed to fetch events: ${error.message}`;
+        throw error;
+      }
+
+      const items = data.items || [];
+      events.push(...items);
+      if (onPage && onPage(items, events.length) === false) {
+        break;
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return events;
   }
 
   isRetryableError(error) {
     const retryableCodes = [429, 500, 502, 503, 504];
-    return retryableCodes.includes(error.status) || 
+    const rateLimitReasons = ['rateLimitExceeded', 'userRateLimitExceeded'];
+    return retryableCodes.includes(error.status) ||
+           (error.status === 403 && rateLimitReasons.includes(error.reason)) ||
+           error.message.includes('Failed to fetch') ||
            error.message.includes('network') ||
            error.message.includes('timeout');
   }
-
-  async onFirstInstall() {
-    // Set default settings
-    await chrome.storage.sync.set({
-      calendarSettings: {
-        confirmDeletions: true,
-        batchSize: 10,
-        autoBackup: true,
-        defaultView: 'week'
-      }
-    });
-  }
 }
 
 class AuthManager {
-  async getValidToken() {
+  /**
+   * Resolves with a token, showing the sign-in window when needed. With
+   * `interactive: false` (alarms, where nobody is there to sign in) it
+   * rejects with a 401 ApiError instead of prompting.
+   */
+  async getValidToken({ interactive = true } = {}) {
+    if (!interactive) {
+      const token = await this.getCachedToken();
+      if (!token) {
+        throw new ApiError(401, 'Unauthorized', {
+          detail: 'Sign-in required. Open the extension and sign in so rules can run.'
+        });
+      }
+      return token;
+    }
     return new Promise((resolve, reject) => {
       chrome.identity.getAuthToken({ 
         interactive: true,
-        scopes: ['https://www.googleapis.com/auth/calendar.events']
+        scopes: [
+          'https://www.googleapis.com/auth/calendar.events',
+          'https://www.googleapis.com/auth/calendar.calendarlist.readonly'
+        ]
       }, (token) => {
         if (chrome.runtime.lastError) {
           const baseMsg = chrome.runtime.lastError.message || 'Unknown authentication error';
@@ -235,6 +1739,15 @@ class AuthManager {
     });
   }
 
+  // Resolves with the cached token, or null, without ever prompting
+  async getCachedToken() {
+    return new Promise((resolve) => {
+      chrome.identity.getAuthToken({ interactive: false }, (token) => {
+        resolve(chrome.runtime.lastError ? null : token || null);
+      });
+    });
+  }
+
   async revokeToken() {
     return new Promise((resolve, reject) => {
       chrome.identity.getAuthToken({ interactive: false }, (token) => {
@@ -252,6 +1765,457 @@ class AuthManager {
   }
 }
 
+class BackupManager {
+  constructor(maxSnapshots = 20) {
+    this.maxSnapshots = maxSnapshots;
+    this.indexKey = 'backupIndex';
+    this.pending = Promise.resolve();
+  }
+
+  snapshotKey(snapshotId) {
+    return `backup:${snapshotId}`;
+  }
+
+  async listSnapshots() {
+    const { [this.indexKey]: index } = await chrome.storage.local.get(this.indexKey);
+    return index || [];
+  }
+
+  async getSnapshot(snapshotId) {
+    const key = this.snapshotKey(snapshotId);
+    const { [key]: snapshot } = await chrome.storage.local.get(key);
+    return snapshot || null;
+  }
+
+  summarize({ id, createdAt, events }) {
+    return {
+      id,
+      createdAt,
+      eventCount: events.length,
+      calendarIds: [...new Set(events.map(e => e.calendarId))],
+      sampleTitles: events.slice(0, 3).map(e => e.resource.summary || 'Untitled Event'),
+      restoredAt: null
+    };
+  }
+
+  saveSnapshot(events) {
+    const createdAt = new Date().toISOString();
+    // Two deletions can finish within the same millisecond
+    const snapshotId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const snapshot = { id: snapshotId, createdAt, events };
+    const summary = this.summarize(snapshot);
+
+    return this.queue(async () => {
+      const index = [summary, ...(await this.listSnapshots())];
+      const expired = index.slice(this.maxSnapshots);
+
+      await chrome.storage.local.set({
+        [this.snapshotKey(snapshotId)]: snapshot,
+        [this.indexKey]: index.slice(0, this.maxSnapshots)
+      });
+
+      if (expired.length > 0) {
+        await chrome.storage.local.remove(expired.map(s => this.snapshotKey(s.id)));
+      }
+
+      return snapshotId;
+    });
+  }
+
+  /**
+   * Drops the events whose ids are not in `eventIds` from a snapshot, so
+   * restoring it never re-imports an event that was not deleted. Resolves
+   * with the snapshot id, or null when nothing was left and the snapshot
+   * was removed.
+   */
+  keepEvents(snapshotId, eventIds) {
+    return this.queue(async () => {
+      const snapshot = await this.getSnapshot(snapshotId);
+      if (!snapshot) return null;
+
+      const events = snapshot.events.filter(({ resource }) => eventIds.has(resource.id));
+      if (events.length === 0) {
+        await this.removeSnapshot(snapshotId);
+        return null;
+      }
+      if (events.length < snapshot.events.length) {
+        const trimmed = { ...snapshot, events };
+        const index = await this.listSnapshots();
+        await chrome.storage.local.set({
+          [this.snapshotKey(snapshotId)]: trimmed,
+          [this.indexKey]: index.map(s => (s.id === snapshotId ? this.summarize(trimmed) : s))
+        });
+      }
+      return snapshotId;
+    });
+  }
+
+  markRestored(snapshotId) {
+    return this.queue(async () => {
+      const index = await this.listSnapshots();
+      await chrome.storage.local.set({
+        [this.indexKey]: index.map(s => (
+          s.id === snapshotId ? { ...s, restoredAt: new Date().toISOString() } : s
+        ))
+      });
+    });
+  }
+
+  deleteSnapshot(snapshotId) {
+    return this.queue(() => this.removeSnapshot(snapshotId));
+  }
+
+  // Only call from inside a queued operation
+  async removeSnapshot(snapshotId) {
+    const index = await this.listSnapshots();
+    await chrome.storage.local.set({
+      [this.indexKey]: index.filter(s => s.id !== snapshotId)
+    });
+    await chrome.storage.local.remove(this.snapshotKey(snapshotId));
+  }
+
+  /**
+   * Index updates are queued like JobStore's, so deletions that finish
+   * together never drop each other's backups from the index.
+   */
+  queue(operation) {
+    const done = this.pending.then(operation);
+    this.pending = done.catch(() => {});
+    return done;
+  }
+}
+
+/**
+ * An error response from the Calendar API. Besides the HTTP status it keeps
+ * Google's error reason (e.g. `rateLimitExceeded`) and the Retry-After delay
+ * so callers can decide whether, and when, to try again.
+ */
+class ApiError extends Error {
+  constructor(status, statusText, { reason = null, retryAfterMs = null, detail = null } = {}) {
+    super(`HTTP ${status}: ${detail || statusText}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.reason = reason;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  static async fromResponse(response) {
+    let body = '';
+    try {
+      body = await response.text();
+    } catch (e) {
+      // The status alone still tells us what went wrong
+    }
+    return ApiError.fromBody(response.status, response.statusText, body, response.headers?.get('Retry-After'));
+  }
+
+  static fromBody(status, statusText, body, retryAfter) {
+    let reason = null;
+    let detail = null;
+    try {
+      const { error } = JSON.parse(body);
+      reason = error?.errors?.[0]?.reason || null;
+      detail = error?.message || null;
+    } catch (e) {
+      // Not a JSON error body
+    }
+    return new ApiError(status, statusText, {
+      reason,
+      detail,
+      retryAfterMs: ApiError.parseRetryAfter(retryAfter)
+    });
+  }
+
+  /**
+   * Retry-After is either a number of seconds or an HTTP date.
+   */
+  static parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+/**
+ * Builds multipart/mixed bodies for the Calendar batch endpoint and reads the
+ * per-part HTTP responses back out of its reply.
+ */
+class BatchRequest {
+  constructor(boundary = `batch_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`) {
+    this.boundary = boundary;
+  }
+
+  build(requests) {
+    const parts = requests.map((request, index) => [
+      `--${this.boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item${index + 1}>`,
+      '',
+      `${request.method} ${request.path} HTTP/1.1`,
+      ...(request.body ? ['Content-Type: application/json; charset=UTF-8', '', JSON.stringify(request.body)] : [''])
+    ].join('\r\n'));
+    return `${parts.join('\r\n')}\r\n--${this.boundary}--\r\n`;
+  }
+
+  /**
+   * Returns one `{ status, statusText, headers, body }` per request, in request order.
+   * Parts are matched by Content-ID; requests the reply does not mention
+   * come back as null.
+   */
+  parse(contentType, text, count) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!boundary) {
+      throw new Error('Batch response has no multipart boundary');
+    }
+    
+    const results = new Array(count).fill(null);
+    const sections = text.replace(/\r\n/g, '\n').split(`--${boundary[1] || boundary[2]}`);
+    
+    sections.slice(1).forEach((section, position) => {
+      const statusLine = /^HTTP\/[\d.]+ (\d{3}) ?(.*)$/m.exec(section);
+      if (!statusLine) return;
+      
+      const contentId = /^Content-ID:\s*<?response-item(\d+)>?/im.exec(section);
+      const index = contentId ? Number(contentId[1]) - 1 : position;
+      if (index < 0 || index >= count) return;
+      
+      const afterStatus = section.slice(statusLine.index);
+      const bodyStart = afterStatus.indexOf('\n\n');
+      const headerLines = afterStatus.slice(0, bodyStart === -1 ? undefined : bodyStart).split('\n').slice(1);
+      const headers = {};
+      headerLines.forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+      });
+      
+      results[index] = {
+        status: Number(statusLine[1]),
+        statusText: statusLine[2].trim(),
+        headers,
+        body: bodyStart === -1 ? '' : afterStatus.slice(bodyStart + 2).trim()
+      };
+    });
+    
+    return results;
+  }
+}
+
+/**
+ * Checkpoints bulk jobs in chrome.storage.local so that work survives the
+ * service worker being terminated. The queue, cursor and results of each job
+ * live under their own key; the index only lists job ids.
+ */
+class JobStore {
+  constructor() {
+    this.indexKey = 'jobIndex';
+    this.pending = Promise.resolve();
+  }
+
+  jobKey(jobId) {
+    return `job:${jobId}`;
+  }
+
+  async listJobs() {
+    const { [this.indexKey]: index } = await chrome.storage.local.get(this.indexKey);
+    if (!index || index.length === 0) return [];
+
+    const keys = index.map(jobId => this.jobKey(jobId));
+    const stored = await chrome.storage.local.get(keys);
+    return keys.map(key => stored[key]).filter(Boolean);
+  }
+
+  async saveJob(job) {
+    const record = {
+      id: job.id,
+      type: job.type,
+      state: job.state,
+      events: job.events,
+      cursor: job.cursor,
+      results: job.results,
+      failedBeforeRun: job.failedBeforeRun,
+      retriesLeft: job.retriesLeft,
+      batchSize: job.batchSize,
+      interactive: job.interactive,
+      destinationId: job.destinationId,
+      account: job.account,
+      filter: job.filter,
+      createdAt: job.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    return this.queue(async () => {
+      const { [this.indexKey]: index = [] } = await chrome.storage.local.get(this.indexKey);
+      await chrome.storage.local.set({
+        [this.jobKey(job.id)]: record,
+        [this.indexKey]: index.includes(job.id) ? index : [...index, job.id]
+      });
+    });
+  }
+
+  deleteJob(jobId) {
+    return this.queue(async () => {
+      const { [this.indexKey]: index = [] } = await chrome.storage.local.get(this.indexKey);
+      await chrome.storage.local.set({
+        [this.indexKey]: index.filter(id => id !== jobId)
+      });
+      await chrome.storage.local.remove(this.jobKey(jobId));
+    });
+  }
+
+  /**
+   * Index updates are queued so jobs running side by side (a cleanup rule
+   * next to a deletion from the page) never drop each other from the index.
+   */
+  queue(operation) {
+    const done = this.pending.then(operation);
+    this.pending = done.catch(() => {});
+    return done;
+  }
+}
+
+class RuleStore {
+  constructor(maxHistory = 20) {
+    this.maxHistory = maxHistory;
+    this.indexKey = 'ruleIndex';
+    this.pending = Promise.resolve();
+  }
+
+  ruleKey(ruleId) {
+    return `rule:${ruleId}`;
+  }
+
+  async listRules() {
+    const { [this.indexKey]: index } = await chrome.storage.local.get(this.indexKey);
+    if (!index || index.length === 0) return [];
+
+    const keys = index.map(ruleId => this.ruleKey(ruleId));
+    const stored = await chrome.storage.local.get(keys);
+    return keys.map(key => stored[key]).filter(Boolean);
+  }
+
+  async getRule(ruleId) {
+    const key = this.ruleKey(ruleId);
+    const { [key]: rule } = await chrome.storage.local.get(key);
+    return rule || null;
+  }
+
+  saveRule(rule) {
+    return this.queue(async () => {
+      const { [this.indexKey]: index = [] } = await chrome.storage.local.get(this.indexKey);
+      await chrome.storage.local.set({
+        [this.ruleKey(rule.id)]: { ...rule, updatedAt: new Date().toISOString() },
+        [this.indexKey]: index.includes(rule.id) ? index : [...index, rule.id]
+      });
+    });
+  }
+
+  deleteRule(ruleId) {
+    return this.queue(async () => {
+      const { [this.indexKey]: index = [] } = await chrome.storage.local.get(this.indexKey);
+      await chrome.storage.local.set({
+        [this.indexKey]: index.filter(id => id !== ruleId)
+      });
+      await chrome.storage.local.remove(this.ruleKey(ruleId));
+    });
+  }
+
+  // Queued like JobStore's index updates, for rules saved or run side by side
+  queue(operation) {
+    const done = this.pending.then(operation);
+    this.pending = done.catch(() => {});
+    return done;
+  }
+}
+
+class AuditLog {
+  constructor(pageSize = 500) {
+    this.pageSize = pageSize;
+    this.indexKey = 'auditIndex';
+    this.pending = Promise.resolve();
+  }
+
+  pageKey(pageId) {
+    return `audit:${pageId}`;
+  }
+
+  /**
+   * Adds entries to the end of the log. Entries are never edited or removed.
+   * The log is split into pages so an append only rewrites the newest one,
+   * and appends are queued so concurrent jobs never overwrite each other.
+   */
+  append(entries) {
+    const written = this.pending.then(() => this.write(entries));
+    this.pending = written.catch(() => {});
+    return written;
+  }
+
+  async write(entries) {
+    if (entries.length === 0) return;
+
+    const { [this.indexKey]: index = [] } = await chrome.storage.local.get(this.indexKey);
+    let pageId = index.length > 0 ? index[index.length - 1] : null;
+    let page = [];
+    if (pageId !== null) {
+      const key = this.pageKey(pageId);
+      ({ [key]: page = [] } = await chrome.storage.local.get(key));
+    }
+
+    const updates = {};
+    entries.forEach(entry => {
+      if (pageId === null || page.length >= this.pageSize) {
+        pageId = index.length;
+        index.push(pageId);
+        page = [];
+      }
+      page.push(entry);
+      updates[this.pageKey(pageId)] = page;
+    });
+    await chrome.storage.local.set({ ...updates, [this.indexKey]: index });
+  }
+
+  async listEntries() {
+    const { [this.indexKey]: index } = await chrome.storage.local.get(this.indexKey);
+    if (!index || index.length === 0) return [];
+
+    const keys = index.map(pageId => this.pageKey(pageId));
+    const stored = await chrome.storage.local.get(keys);
+    return keys.flatMap(key => stored[key] || []).reverse();
+  }
+
+  /**
+   * Newest entries first whose text fields contain `search` (ignoring case).
+   * `total` counts every match even when `limit` cuts the list short.
+   */
+  async search(search = '', limit = null) {
+    const needle = (search || '').trim().toLowerCase();
+    const fields = ['at', 'account', 'calendarId', 'eventId', 'title', 'start', 'result', 'error', 'filter'];
+    const matches = (await this.listEntries()).filter(entry => !needle || fields.some(field => (
+      typeof entry[field] === 'string' && entry[field].toLowerCase().includes(needle)
+    )));
+    return {
+      entries: limit ? matches.slice(0, limit) : matches,
+      total: matches.length
+    };
+  }
+
+  toJson(entries) {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  toCsv(entries) {
+    const columns = ['at', 'account', 'calendarId', 'eventId', 'title', 'start', 'result', 'error', 'filter', 'jobId'];
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    return [
+      columns.map(quote).join(','),
+      ...entries.map(entry => columns.map(column => quote(entry[column])).join(','))
+    ].join('\r\n');
+  }
+}
+
 class RateLimiter {
   constructor(maxRequests, windowMs) {
     this.maxRequests = maxRequests;
@@ -278,3 +2242,8 @@ class RateLimiter {
 
 // Initialize the message router
 new MessageRouter();
+
+// Expose classes to the Jest suite; `module` does not exist in the extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MessageRouter, AuthManager, ApiError, AuditLog, BackupManager, BatchRequest, JobStore, RuleStore, RateLimiter };
+}
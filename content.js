@@ -3,11 +3,14 @@
  * Handles DOM manipulation and UI injection for Google Calendar
  */
 
+/* global IcsWriter, IcsParser, IcsMatcher, EventQuery, EventPatch, DuplicateFinder, PresetStore, SettingsStore */
+
 class CalendarExtension {
   constructor() {
     this.observer = null;
     this.dialogManager = new CustomDialogManager();
     this.eventCache = new Map();
+    this.calendars = null;
     this.isProcessing = false;
     this.init();
   }
@@ -101,7 +104,12 @@ class CalendarExtension {
       id: domEventId, // Keep DOM ID for element mapping
       actualEventId: parsedEventData.eventId, // Real Google Calendar event ID
       calendarId: parsedEventData.calendarId, // Real calendar ID
+      recurringEventId: parsedEventData.recurringEventId,
+      originalStartTime: parsedEventData.originalStartTime,
       title: titleElement?.textContent?.trim() || 'Untitled Event',
+      // Guests and RSVPs are not rendered in the grid; only the API path fills these in
+      attendees: [],
+      responseStatus: null,
       element: element,
       startTime: this.extractStartTime(element),
       endTime: this.extractEndTime(element),
@@ -130,12 +138,18 @@ class CalendarExtension {
         const eventIdMatch = dateAndEventId.match(/^\d{8}_(.+)$/);
         const actualEventId = eventIdMatch ? eventIdMatch[1] : dateAndEventId;
         
+        // Instances of a recurring series carry their original start as a suffix,
+        // e.g. "9u2pou9j855ujfp8l4gqsqpbv4_20250901T150000Z"
+        const instanceMatch = actualEventId.match(/^(.+)_(\d{8}(?:T\d{6}Z)?)$/);
+        
         // Determine if this event can be deleted
         const canDelete = this.canDeleteFromCalendar(calendarId);
         
         return {
           eventId: actualEventId,
           calendarId: calendarId,
+          recurringEventId: instanceMatch ? instanceMatch[1] : null,
+          originalStartTime: instanceMatch ? this.parseInstanceStart(instanceMatch[2]) : null,
           canDelete: canDelete
         };
       }
@@ -144,7 +158,16 @@ class CalendarExtension {
       console.warn('Failed to parse event ID:', domEventId, error);
     }
 
-    return { eventId: null, calendarId: null, canDelete: false };
+    return { eventId: null, calendarId: null, recurringEventId: null, originalStartTime: null, canDelete: false };
+  }
+
+  parseInstanceStart(suffix) {
+    const match = suffix.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/);
+    if (!match) return null;
+    
+    const [, year, month, day, hour, minute, second] = match;
+    if (!hour) return `${year}-${month}-${day}`;
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}Z`;
   }
 
   canDeleteFromCalendar(calendarId) {
@@ -305,6 +328,21 @@ class CalendarExtension {
         background: #b52d20;
       }
       
+      .extension-btn-secondary {
+        background: #f1f3f4;
+        color: #3c4043;
+        margin-right: auto;
+      }
+      
+      .extension-btn-secondary:hover {
+        background: #e8eaed;
+      }
+      
+      .extension-btn:disabled {
+        opacity: 0.6;
+        cursor: not-allowed;
+      }
+      
       .extension-progress {
         margin: 16px 0;
       }
@@ -323,6 +361,11 @@ class CalendarExtension {
         transition: width 0.3s ease;
       }
       
+      .extension-progress-details {
+        font-size: 12px;
+        white-space: pre-line;
+      }
+      
       .extension-event-list {
         max-height: 300px;
         overflow-y: auto;
@@ -341,6 +384,102 @@ class CalendarExtension {
         border-bottom: none;
       }
       
+      .extension-retry-badge {
+        margin-left: 8px;
+        padding: 1px 6px;
+        border-radius: 8px;
+        font-size: 11px;
+        background: #fce8e6;
+        color: #c5221f;
+      }
+      
+      .extension-retry-badge.retryable {
+        background: #fef7e0;
+        color: #b06000;
+      }
+      
+      .extension-dry-run {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-right: auto;
+        font-size: 13px;
+        color: #3c4043;
+      }
+      
+      .extension-selection-bar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-top: 16px;
+        font-size: 12px;
+        color: #5f6368;
+      }
+      
+      .extension-selection-bar span {
+        margin-right: auto;
+      }
+      
+      .extension-link-btn {
+        border: none;
+        background: none;
+        padding: 0;
+        color: #1a73e8;
+        font-size: 12px;
+        cursor: pointer;
+      }
+      
+      .extension-preset-bar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+      
+      .extension-preset-bar select {
+        flex: 1;
+      }
+      
+      .extension-dialog-input {
+        margin-bottom: 16px;
+      }
+      
+      .extension-event-select {
+        margin-right: 6px;
+      }
+      
+      .extension-duplicate-item {
+        display: block;
+      }
+      
+      .extension-duplicate-item label {
+        margin-right: 8px;
+        cursor: pointer;
+      }
+      
+      .extension-series-group {
+        border-bottom: 1px solid #dadce0;
+      }
+      
+      .extension-series-group .extension-event-item {
+        padding-left: 24px;
+      }
+      
+      .extension-series-header {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        padding: 8px 12px;
+        background: #f8f9fa;
+        font-size: 13px;
+      }
+      
+      .extension-series-mode {
+        padding: 4px;
+        border: 1px solid #dadce0;
+        border-radius: 4px;
+        font-size: 12px;
+      }
+      
       .extension-filters {
         margin: 16px 0;
         padding: 16px;
@@ -366,6 +505,46 @@ class CalendarExtension {
         border-radius: 4px;
         font-size: 14px;
       }
+      
+      .extension-calendar-picker {
+        max-height: 120px;
+        overflow-y: auto;
+        padding: 4px 8px;
+        background: white;
+        border: 1px solid #dadce0;
+        border-radius: 4px;
+      }
+      
+      .extension-filter-group .extension-calendar-option {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 4px 0;
+        font-weight: normal;
+        font-size: 13px;
+      }
+      
+      .extension-calendar-swatch {
+        display: inline-block;
+        width: 10px;
+        height: 10px;
+        border-radius: 2px;
+        flex-shrink: 0;
+      }
+      
+      .extension-filter-hint {
+        margin-top: 4px;
+        font-size: 12px;
+        color: #5f6368;
+      }
+      
+      .extension-filter-error {
+        color: #d93025;
+      }
+      
+      .extension-filter-error:empty {
+        display: none;
+      }
     `;
     
     document.head.appendChild(styleSheet);
@@ -440,17 +619,35 @@ class CalendarExtension {
     if (this.isProcessing) return;
 
     try {
-      // Get events from current view
-      const events = await this.getCurrentViewEvents();
-      
-      if (events.length === 0) {
-        this.dialogManager.showAlert('No events found in current view.');
-        return;
-      }
+      const [calendars, selectedCalendarIds] = await Promise.all([
+        this.getCalendars(),
+        this.getSelectedCalendarIds()
+      ]);
 
-      const confirmed = await this.dialogManager.showBulkDeleteDialog(events);
-      if (confirmed) {
-        await this.performBulkDeletion(confirmed.eventIds);
+      // The dialog loads the events itself so pages can stream in
+      const confirmed = await this.dialogManager.showBulkDeleteDialog({
+        calendars,
+        selectedCalendarIds,
+        loadEvents: (calendarIds, onPage) => this.loadEvents(calendarIds, onPage),
+        onExport: (selectedEvents) => this.exportEventsToIcs(selectedEvents),
+        onImportIcs: (file) => this.findIcsMatches(file),
+        presetStore: new PresetStore()
+      });
+      if (confirmed?.mode === 'duplicates') {
+        await this.showDuplicateCleanup(confirmed.events, confirmed.selectedIds);
+      } else if (confirmed?.mode === 'patch') {
+        await this.performBulkPatch(confirmed.eventIds, confirmed.patch, {
+          filter: this.describeFilters(confirmed.filters)
+        });
+      } else if (confirmed?.mode === 'move') {
+        await this.performBulkMove(confirmed.eventIds, confirmed.seriesActions, confirmed.destination, {
+          filter: this.describeFilters(confirmed.filters)
+        });
+      } else if (confirmed) {
+        await this.performBulkDeletion(confirmed.eventIds, confirmed.seriesActions, {
+          dryRun: confirmed.dryRun,
+          filter: this.describeFilters(confirmed.filters)
+        });
       }
     } catch (error) {
       // eslint-disable-next-line no-console
@@ -459,9 +656,110 @@ class CalendarExtension {
     }
   }
 
-  async getCurrentViewEvents() {
+  async getCalendars() {
+    if (this.calendars) return this.calendars;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'LIST_CALENDARS' });
+      if (response.success) {
+        this.calendars = response.calendars;
+        return this.calendars;
+      }
+      // eslint-disable-next-line no-console
+      console.warn('Failed to list calendars:', response.error);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('Failed to list calendars:', error);
+    }
+    return [];
+  }
+
+  async getSelectedCalendarIds() {
+    const { selectedCalendarIds } = await chrome.storage.local.get('selectedCalendarIds');
+    return selectedCalendarIds || [];
+  }
+
+  async showDuplicateCleanup(events, selectedIds) {
+    const finder = new DuplicateFinder();
+    const confirmed = await this.dialogManager.showDuplicatesDialog({
+      findClusters: (toleranceMinutes) => finder.find(events, { toleranceMinutes }),
+      selectedIds
+    });
+    if (confirmed) {
+      await this.performBulkDeletion(confirmed.eventIds, [], { filter: 'Duplicate cleanup' });
+    }
+  }
+
+  async loadEvents(calendarIds, onPage = null) {
+    await chrome.storage.local.set({ selectedCalendarIds: calendarIds });
+    return this.getCurrentViewEvents(onPage);
+  }
+
+  async loadCalendarEvents(calendarIds, filters, onPage = null) {
+    const calendars = await this.getCalendars();
+    const events = [];
+    
+    for (const calendarId of calendarIds) {
+      const calendar = calendars.find(c => c.id === calendarId);
+      await this.streamCalendarEvents(calendarId, filters, (page) => {
+        const mapped = page.map(event => this.mapApiEvent(event, calendarId, calendar));
+        events.push(...mapped);
+        if (onPage) onPage(mapped);
+      });
+    }
+    
+    return events;
+  }
+
+  async streamCalendarEvents(calendarId, filters, onPage) {
+    const { total } = await this.connectToBackground(
+      { action: 'GET_CALENDAR_EVENTS', calendarId, filters },
+      (message) => {
+        if (message.type === 'page') onPage(message.events);
+      }
+    );
+    return total;
+  }
+
+  /**
+   * Runs a request over a long-lived port. Intermediate messages go to
+   * `onUpdate`; the promise settles on the final 'done' or 'error' message.
+   */
+  connectToBackground(request, onUpdate) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: request.action });
+      
+      port.onMessage.addListener((message) => {
+        if (message.type === 'done') {
+          port.disconnect();
+          resolve(message);
+        } else if (message.type === 'error') {
+          port.disconnect();
+          reject(new Error(message.error));
+        } else {
+          onUpdate(message);
+        }
+      });
+      
+      port.onDisconnect.addListener(() => {
+        reject(new Error(chrome.runtime.lastError?.message || 'Lost connection to the extension'));
+      });
+      
+      port.postMessage(request);
+    });
+  }
+
+  async getCurrentViewEvents(onPage = null) {
+    const { defaultView } = await new SettingsStore().load();
+    
+    // Calendars picked in the dialog take precedence over what is rendered
+    const selectedCalendarIds = await this.getSelectedCalendarIds();
+    if (selectedCalendarIds.length > 0) {
+      return this.loadCalendarEvents(selectedCalendarIds, this.getCurrentViewFilters(defaultView), onPage);
+    }
+    
     // First try to get events from cache
-    let events = Array.from(this.eventCache.values());
+    const events = Array.from(this.eventCache.values()).filter(event => event.element);
     
     // If cache is empty, try to extract from DOM
     if (events.length === 0) {
@@ -475,80 +773,213 @@ class CalendarExtension {
     
     // If still no events, fetch from API
     if (events.length === 0) {
-      const requestedCalendarId = 'primary';
-      const response = await chrome.runtime.sendMessage({
-        action: 'GET_CALENDAR_EVENTS',
-        calendarId: requestedCalendarId,
-        filters: this.getCurrentViewFilters()
-      });
-      
-      if (response.success) {
-        events = response.events.map(event => {
-          const calendarId = event.organizer?.email || event.creator?.email || requestedCalendarId;
-          const eventData = {
-            id: event.id,
-            actualEventId: event.id,
-            calendarId,
-            title: event.summary || 'Untitled Event',
-            element: null,
-            startTime: event.start?.dateTime || event.start?.date || null,
-            endTime: event.end?.dateTime || event.end?.date || null,
-            canDelete: this.canDeleteFromCalendar(calendarId)
-          };
-
-          this.eventCache.set(eventData.id, eventData);
-          return eventData;
-        });
-      }
+      return this.loadCalendarEvents(['primary'], this.getCurrentViewFilters(defaultView), onPage);
     }
     
+    if (onPage) onPage(events);
     return events;
   }
 
-  getCurrentViewFilters() {
-    // Extract current view parameters from URL or UI
+  mapApiEvent(event, calendarId, calendar = null) {
+    const eventData = {
+      // The same event id can appear in several calendars (e.g. shared invites)
+      id: `${calendarId}/${event.id}`,
+      actualEventId: event.id,
+      calendarId,
+      calendarName: calendar?.summary || null,
+      calendarColor: calendar?.backgroundColor || null,
+      iCalUID: event.iCalUID || null,
+      recurringEventId: event.recurringEventId || null,
+      originalStartTime: event.originalStartTime?.dateTime || event.originalStartTime?.date || null,
+      title: event.summary || 'Untitled Event',
+      location: event.location || '',
+      description: event.description || '',
+      organizer: event.organizer?.email || null,
+      organizerName: event.organizer?.displayName || null,
+      // Only the organizer's copy of an event can be moved to another calendar
+      organizerSelf: event.organizer ? event.organizer.self === true : null,
+      attendees: (event.attendees || []).map(attendee => ({
+        email: attendee.email || null,
+        displayName: attendee.displayName || null,
+        responseStatus: attendee.responseStatus || null
+      })),
+      // My RSVP; null when I am not on the guest list (e.g. events without guests)
+      responseStatus: event.attendees?.find(attendee => attendee.self)?.responseStatus || null,
+      element: null,
+      startTime: event.start?.dateTime || event.start?.date || null,
+      endTime: event.end?.dateTime || event.end?.date || null,
+      created: event.created || null,
+      eventType: event.eventType || 'default',
+      // What a bulk edit can change, so its preview starts from the real values
+      colorId: event.colorId || null,
+      visibility: event.visibility || 'default',
+      transparency: event.transparency || 'opaque',
+      reminders: event.reminders || null,
+      canDelete: this.canDeleteFromCalendar(calendarId) &&
+        (!calendar || ['owner', 'writer'].includes(calendar.accessRole)) &&
+        event.eventType !== 'birthday'
+    };
+    
+    if (event.eventType === 'birthday') {
+      // Birthdays come from Google Contacts and the API refuses to delete them
+      eventData.readOnlyReason = 'Birthday (managed in Google Contacts)';
+    }
+
+    this.eventCache.set(eventData.id, eventData);
+    return eventData;
+  }
+
+  async findIcsMatches(file) {
+    const imported = new IcsParser().parse(await file.text());
+    if (imported.length === 0) {
+      throw new Error('No events found in this file.');
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const starts = imported
+      .map(e => e.start && new Date(e.start.date || e.start.dateTime).getTime())
+      .filter(Number.isFinite);
+    const filters = { maxResults: 2500 };
+    if (starts.length > 0) {
+      filters.timeMin = new Date(Math.min(...starts) - dayMs).toISOString();
+      // Series in the file can have occurrences long after their first start
+      if (!imported.some(e => e.recurring)) {
+        filters.timeMax = new Date(Math.max(...starts) + dayMs).toISOString();
+      }
+    }
+
+    const selectedCalendarIds = await this.getSelectedCalendarIds();
+    const calendarIds = selectedCalendarIds.length > 0 ? selectedCalendarIds : ['primary'];
+    const events = await this.loadCalendarEvents(calendarIds, filters);
+    const { matches, unmatched } = new IcsMatcher().match(imported, events);
+    return { matches, unmatched, total: imported.length };
+  }
+
+  /**
+   * `defaultView` is the range used when the URL does not name a view, as on
+   * the bare calendar.google.com/calendar landing page.
+   */
+  getCurrentViewFilters(defaultView = 'week') {
+    // Calendar URLs look like /calendar/u/0/r/week/2025/9/1; without a date the view shows today
     const url = new URL(window.location.href);
-    const view = url.searchParams.get('view') || 'week';
+    const match = url.pathname.match(/\/r\/([a-z]+)(?:\/(\d{4})\/(\d{1,2})\/(\d{1,2}))?/);
+    const view = match?.[1] || url.searchParams.get('view') || defaultView;
+    const anchor = match?.[2]
+      ? new Date(Number(match[2]), Number(match[3]) - 1, Number(match[4]))
+      : new Date(new Date().setHours(0, 0, 0, 0));
+    
+    const day = 24 * 60 * 60 * 1000;
+    let timeMin;
+    let timeMax;
+    switch (view) {
+      case 'day':
+        timeMin = anchor;
+        timeMax = new Date(anchor.getTime() + day);
+        break;
+      case 'month':
+        // The month grid also shows the tail of the previous and head of the next month
+        timeMin = new Date(anchor.getFullYear(), anchor.getMonth(), 1 - 7);
+        timeMax = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 1 + 7);
+        break;
+      case 'year':
+        timeMin = new Date(anchor.getFullYear(), 0, 1);
+        timeMax = new Date(anchor.getFullYear() + 1, 0, 1);
+        break;
+      case 'agenda':
+        timeMin = anchor;
+        timeMax = new Date(anchor.getTime() + 30 * day);
+        break;
+      default:
+        // week, plus customday/customweek which span at most four weeks
+        timeMin = new Date(anchor.getTime() - anchor.getDay() * day);
+        timeMax = new Date(timeMin.getTime() + (view === 'week' ? 7 : 28) * day);
+    }
     
-    // This is a simplified filter - you might want to make it more sophisticated
     return {
       maxResults: 2500,
-      view: view
+      view: view,
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString()
+    };
+  }
+
+  // One-line summary of the dialog filters, recorded in the audit log
+  describeFilters(filters = {}) {
+    const labels = {
+      query: 'query',
+      eventType: 'type',
+      organizer: 'organizer',
+      attendee: 'attendee',
+      responseStatus: 'my response',
+      fromDate: 'from',
+      toDate: 'to'
     };
+    const parts = Object.entries(labels)
+      .filter(([key]) => filters[key])
+      .map(([key, label]) => `${label}: ${filters[key]}`);
+    return parts.length > 0 ? parts.join('; ') : 'Manual selection';
   }
 
-  async performBulkDeletion(eventDomIds) {
+  async performBulkDeletion(eventDomIds, seriesActions = [], { dryRun = false, filter = null } = {}) {
     this.isProcessing = true;
     
     try {
       // Convert DOM event IDs to API event data
-      const eventsToDelete = [];
-      const nonDeletableEvents = [];
+      let eventsToDelete = [];
+      let nonDeletableEvents = [];
+      
+      // Whole-series and truncate actions replace the per-instance deletes of their series
+      const seriesIds = new Set(seriesActions.map(action => action.recurringEventId));
+      seriesActions.forEach(action => {
+        eventsToDelete.push({
+          domEventId: action.recurringEventId,
+          actualEventId: action.recurringEventId,
+          calendarId: action.calendarId,
+          title: action.title,
+          operation: action.mode === 'following' ? 'truncate' : 'delete',
+          truncateFrom: action.mode === 'following' ? action.from : undefined
+        });
+      });
       
       for (const domEventId of eventDomIds) {
         const cachedEvent = this.eventCache.get(domEventId);
+        if (cachedEvent && seriesIds.has(cachedEvent.recurringEventId)) {
+          continue;
+        }
         if (cachedEvent) {
           if (cachedEvent.canDelete && cachedEvent.actualEventId && cachedEvent.calendarId) {
             eventsToDelete.push({
               domEventId: domEventId,
               actualEventId: cachedEvent.actualEventId,
               calendarId: cachedEvent.calendarId,
-              title: cachedEvent.title
+              eventType: cachedEvent.eventType,
+              title: cachedEvent.title,
+              startTime: cachedEvent.startTime
             });
           } else {
             nonDeletableEvents.push({
               domEventId: domEventId,
               title: cachedEvent.title,
-              reason: cachedEvent.canDelete ? 'Missing event data' : 'Read-only calendar'
+              reason: cachedEvent.canDelete
+                ? 'Missing event data'
+                : (cachedEvent.readOnlyReason || 'Read-only calendar')
             });
           }
         }
       }
       
-      // Show warning if some events can't be deleted
-      if (nonDeletableEvents.length > 0) {
+      // A dry run reports everything; the real run continues with what it approved
+      if (dryRun) {
+        const plan = await this.previewBulkDeletion(eventsToDelete, nonDeletableEvents);
+        if (!plan) return;
+        
+        const approved = new Set(plan.wouldDelete.map(event => event.domEventId));
+        eventsToDelete = eventsToDelete.filter(event => approved.has(event.domEventId));
+        nonDeletableEvents = plan.skipped;
+      } else if (nonDeletableEvents.length > 0) {
+        // Show warning if some events can't be deleted
         const warningMessage = `${nonDeletableEvents.length} events cannot be deleted:\n\n` +
-          nonDeletableEvents.map(e => `• ${e.title} (${e.reason})`).slice(0, 5).join('\n') +
+          nonDeletableEvents.map(e => `• ${this.dialogManager.escapeHtml(e.title)} (${this.dialogManager.escapeHtml(e.reason)})`).slice(0, 5).join('\n') +
           (nonDeletableEvents.length > 5 ? `\n... and ${nonDeletableEvents.length - 5} more` : '');
         
         await this.dialogManager.showAlert(warningMessage);
@@ -559,17 +990,31 @@ class CalendarExtension {
         return;
       }
       
-      const progressDialog = this.dialogManager.showProgress(`Deleting ${eventsToDelete.length} events...`, 0);
-      
-      const response = await chrome.runtime.sendMessage({
-        action: 'BULK_DELETE_EVENTS',
-        events: eventsToDelete // Send full event data instead of just IDs
-      });
-      
-      this.dialogManager.closeDialog(progressDialog);
+      let pending = eventsToDelete;
+      let deletedCount = 0;
+      const backupIds = [];
       
-      if (response.success) {
-        const { successful, failed } = response.result;
+      // Each pass runs a job; "Retry failed" starts another pass with just the failures
+      while (pending.length > 0) {
+        const progressDialog = this.dialogManager.showProgress(
+          `Deleting ${pending.length} events...`,
+          0,
+          { controls: true }
+        );
+        
+        let result;
+        try {
+          result = await this.runDeletionJob(pending, progressDialog, filter);
+        } catch (error) {
+          this.dialogManager.closeDialog(progressDialog);
+          await this.dialogManager.showAlert('Error: ' + error.message);
+          break;
+        }
+        this.dialogManager.closeDialog(progressDialog);
+        
+        const { successful, failed, backupId, status, remaining } = result;
+        deletedCount += successful.length;
+        if (backupId) backupIds.push(backupId);
         
         // Clear cache and remove from DOM for successfully deleted events
         successful.forEach(result => {
@@ -583,24 +1028,36 @@ class CalendarExtension {
         // Show results
         let message = `Successfully deleted ${successful.length} events.`;
         if (failed.length > 0) {
-          message += `\n${failed.length} events failed to delete.`;
-          if (failed.length <= 3) {
-            message += '\n\nFailed events:\n' + failed.map(f => `• ${f.title}: ${f.error}`).join('\n');
-          }
+          message += ` ${failed.length} events failed to delete.`;
         }
         if (nonDeletableEvents.length > 0) {
-          message += `\n${nonDeletableEvents.length} events were skipped (read-only calendars).`;
+          message += ` ${nonDeletableEvents.length} events were skipped (read-only calendars or protected event types).`;
+        }
+        if (status === 'cancelled' && remaining > 0) {
+          message += ` Deletion was cancelled; ${remaining} events were left untouched.`;
+        }
+        if (backupIds.length > 0) {
+          message += ' A backup of the deleted events was saved.';
         }
         
-        this.dialogManager.showAlert(message);
-        
-        // Refresh calendar view
-        setTimeout(() => {
-          window.location.reload();
-        }, 2000);
+        const choice = await this.dialogManager.showDeletionResults(message, failed, {
+          canUndo: backupIds.length > 0
+        });
         
-      } else {
-        this.dialogManager.showAlert('Error: ' + response.error);
+        if (choice === 'retry') {
+          const failedIds = new Set(failed.map(f => f.domEventId));
+          pending = pending.filter(event => failedIds.has(event.domEventId));
+          continue;
+        }
+        if (choice === 'undo') {
+          await this.undoBulkDeletion(backupIds);
+        }
+        break;
+      }
+      
+      // Refresh calendar view once the user is done with the results
+      if (deletedCount > 0 || backupIds.length > 0) {
+        window.location.reload();
       }
     } catch (error) {
       // eslint-disable-next-line no-console
@@ -610,164 +1067,1636 @@ class CalendarExtension {
       this.isProcessing = false;
     }
   }
-}
 
-class CustomDialogManager {
-  showAlert(message) {
-    const dialog = this.createDialog({
-      type: 'alert',
-      title: 'Calendar Bulk Delete',
-      message: message,
-      confirmText: 'OK'
-    });
+  /**
+   * Moves the picked events to `destination`, a calendar from the calendar
+   * list. A series picked as a whole moves as one event; the background skips
+   * whatever else the Calendar API would refuse to move.
+   */
+  async performBulkMove(eventDomIds, seriesActions, destination, { filter = null } = {}) {
+    this.isProcessing = true;
     
-    return new Promise((resolve) => {
-      const confirmBtn = dialog.querySelector('.extension-btn-confirm');
-      confirmBtn.addEventListener('click', () => {
-        this.closeDialog(dialog);
-        resolve(true);
+    try {
+      const eventsToMove = [];
+      const skippedEvents = [];
+      
+      const seriesIds = new Set(seriesActions.map(action => action.recurringEventId));
+      seriesActions.forEach(action => {
+        if (action.mode === 'series') {
+          eventsToMove.push({
+            domEventId: action.recurringEventId,
+            actualEventId: action.recurringEventId,
+            calendarId: action.calendarId,
+            title: action.title
+          });
+        } else {
+          skippedEvents.push({
+            domEventId: action.recurringEventId,
+            title: action.title,
+            reason: 'Part of a series cannot be moved; move the whole series instead'
+          });
+        }
       });
       
-      document.body.appendChild(dialog);
-    });
-  }
-
-  showBulkDeleteDialog(events) {
-    return new Promise((resolve) => {
-      const dialog = this.createBulkDeleteDialog(events, resolve);
-      document.body.appendChild(dialog);
-    });
+      for (const domEventId of eventDomIds) {
+        const cachedEvent = this.eventCache.get(domEventId);
+        if (!cachedEvent || seriesIds.has(cachedEvent.recurringEventId)) {
+          continue;
+        }
+        if (cachedEvent.canDelete && cachedEvent.actualEventId && cachedEvent.calendarId) {
+          eventsToMove.push({
+            domEventId,
+            actualEventId: cachedEvent.actualEventId,
+            calendarId: cachedEvent.calendarId,
+            eventType: cachedEvent.eventType,
+            recurringEventId: cachedEvent.recurringEventId,
+            organizerSelf: cachedEvent.organizerSelf,
+            title: cachedEvent.title
+          });
+        } else {
+          skippedEvents.push({
+            domEventId,
+            title: cachedEvent.title,
+            reason: cachedEvent.canDelete
+              ? 'Missing event data'
+              : (cachedEvent.readOnlyReason || 'Read-only calendar')
+          });
+        }
+      }
+      
+      if (skippedEvents.length > 0) {
+        await this.dialogManager.showAlert(`${skippedEvents.length} events cannot be moved:\n\n` +
+          skippedEvents.map(e => `• ${this.dialogManager.escapeHtml(e.title)} (${this.dialogManager.escapeHtml(e.reason)})`).slice(0, 5).join('\n') +
+          (skippedEvents.length > 5 ? `\n... and ${skippedEvents.length - 5} more` : ''));
+      }
+      
+      if (eventsToMove.length === 0) {
+        this.dialogManager.showAlert('No events can be moved.');
+        return;
+      }
+      
+      let pending = eventsToMove;
+      let movedCount = 0;
+      
+      // Each pass runs a job; "Retry failed" starts another pass with just the failures
+      while (pending.length > 0) {
+        const progressDialog = this.dialogManager.showProgress(
+          `Moving ${pending.length} events to ${this.dialogManager.escapeHtml(destination.summary)}...`,
+          0,
+          { controls: true }
+        );
+        
+        let result;
+        try {
+          result = await this.runBackgroundJob({
+            action: 'BULK_MOVE_EVENTS',
+            events: pending,
+            destinationId: destination.id,
+            filter
+          }, progressDialog);
+        } catch (error) {
+          this.dialogManager.closeDialog(progressDialog);
+          await this.dialogManager.showAlert('Error: ' + error.message);
+          break;
+        }
+        this.dialogManager.closeDialog(progressDialog);
+        
+        const { successful, failed, status, remaining } = result;
+        movedCount += successful.length;
+        successful.forEach(moved => this.eventCache.delete(moved.domEventId));
+        
+        let message = `Moved ${successful.length} events to ${destination.summary}.`;
+        if (failed.length > 0) {
+          message += ` ${failed.length} events could not be moved.`;
+        }
+        if (status === 'cancelled' && remaining > 0) {
+          message += ` The move was cancelled; ${remaining} events were left where they were.`;
+        }
+        
+        const choice = await this.dialogManager.showDeletionResults(message, failed, { title: 'Move Results' });
+        if (choice === 'retry') {
+          const failedIds = new Set(failed.map(f => f.domEventId));
+          pending = pending.filter(event => failedIds.has(event.domEventId));
+          continue;
+        }
+        break;
+      }
+      
+      if (movedCount > 0) {
+        window.location.reload();
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Bulk move error:', error);
+      this.dialogManager.showAlert('Error: ' + error.message);
+    } finally {
+      this.isProcessing = false;
+    }
   }
 
-  createBulkDeleteDialog(events, resolve) {
-    const dialogElement = document.createElement('div');
-    dialogElement.innerHTML = `
-      <div class="extension-backdrop"></div>
-      <div class="extension-dialog" role="dialog" aria-modal="true">
-        <div class="extension-dialog-content">
-          <h2>Bulk Delete Calendar Events</h2>
-          <p>Found ${events.length} events (${events.filter(e => e.canDelete).length} can be deleted, ${events.filter(e => !e.canDelete).length} are read-only). Configure filters below:</p>
-          
-          <div class="extension-filters">
-            <div class="extension-filter-group">
-              <label for="title-filter">Filter by title (optional):</label>
-              <input type="text" id="title-filter" class="extension-filter-input" 
-                     placeholder="Enter keywords to filter events">
-            </div>
-            
+  /**
+   * Applies a bulk edit (EventPatch options) to the picked events. Events
+   * read from the calendar grid carry no description, so only their other
+   * fields can change.
+   */
+  async performBulkPatch(eventDomIds, patch, { filter = null } = {}) {
+    this.isProcessing = true;
+    
+    try {
+      const eventsToPatch = eventDomIds
+        .map(domEventId => this.eventCache.get(domEventId))
+        .filter(event => event && event.canDelete && event.actualEventId && event.calendarId)
+        .map(event => ({
+          domEventId: event.id,
+          actualEventId: event.actualEventId,
+          calendarId: event.calendarId,
+          title: event.title,
+          // The background reads these events from the API before editing them
+          fromPage: Boolean(event.element),
+          description: event.description,
+          colorId: event.colorId,
+          visibility: event.visibility,
+          transparency: event.transparency,
+          reminders: event.reminders
+        }));
+      
+      if (eventsToPatch.length === 0) {
+        this.dialogManager.showAlert('No events can be edited.');
+        return;
+      }
+      
+      let pending = eventsToPatch;
+      let updatedCount = 0;
+      
+      // Each pass runs a job; "Retry failed" starts another pass with just the failures
+      while (pending.length > 0) {
+        const progressDialog = this.dialogManager.showProgress(
+          `Updating ${pending.length} events...`,
+          0,
+          { controls: true }
+        );
+        
+        let result;
+        try {
+          result = await this.runBackgroundJob({
+            action: 'BULK_PATCH_EVENTS',
+            events: pending,
+            patch,
+            filter
+          }, progressDialog);
+        } catch (error) {
+          this.dialogManager.closeDialog(progressDialog);
+          await this.dialogManager.showAlert('Error: ' + error.message);
+          break;
+        }
+        this.dialogManager.closeDialog(progressDialog);
+        
+        const { successful, failed, unchanged = [], status, remaining } = result;
+        updatedCount += successful.length;
+        
+        let message = `Updated ${successful.length} events.`;
+        if (failed.length > 0) {
+          message += ` ${failed.length} events could not be updated.`;
+        }
+        if (unchanged.length > 0) {
+          message += ` ${unchanged.length} events already matched and were left alone.`;
+        }
+        if (status === 'cancelled' && remaining > 0) {
+          message += ` The edit was cancelled; ${remaining} events were left untouched.`;
+        }
+        
+        const choice = await this.dialogManager.showDeletionResults(message, failed, { title: 'Edit Results' });
+        if (choice === 'retry') {
+          const failedIds = new Set(failed.map(f => f.domEventId));
+          pending = pending.filter(event => failedIds.has(event.domEventId));
+          continue;
+        }
+        break;
+      }
+      
+      if (updatedCount > 0) {
+        window.location.reload();
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Bulk edit error:', error);
+      this.dialogManager.showAlert('Error: ' + error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Runs a dry run of the deletion and shows its report. Resolves with the
+   * plan if the user goes on to delete for real, otherwise null.
+   */
+  async previewBulkDeletion(eventsToDelete, nonDeletableEvents) {
+    let report = { wouldDelete: [], skipped: [] };
+    
+    if (eventsToDelete.length > 0) {
+      const progressDialog = this.dialogManager.showProgress(`Checking ${eventsToDelete.length} events...`, 0);
+      try {
+        const { result } = await this.connectToBackground(
+          { action: 'BULK_DELETE_EVENTS', events: eventsToDelete, dryRun: true },
+          (message) => this.dialogManager.updateProgress(
+            progressDialog,
+            Math.round(((message.total - message.remaining) / message.total) * 100),
+            message
+          )
+        );
+        report = result;
+      } catch (error) {
+        this.dialogManager.closeDialog(progressDialog);
+        await this.dialogManager.showAlert('Dry run failed: ' + error.message);
+        return null;
+      }
+      this.dialogManager.closeDialog(progressDialog);
+    }
+    
+    const plan = {
+      wouldDelete: report.wouldDelete,
+      // Events the page already knew it could not delete are part of the report too
+      skipped: [...nonDeletableEvents, ...report.skipped]
+    };
+    const choice = await this.dialogManager.showDryRunReport(plan);
+    return choice === 'delete' ? plan : null;
+  }
+
+  async runDeletionJob(eventsToDelete, progressDialog, filter = null) {
+    return this.runBackgroundJob({
+      action: 'BULK_DELETE_EVENTS',
+      events: eventsToDelete, // Send full event data instead of just IDs
+      filter
+    }, progressDialog);
+  }
+
+  /**
+   * Runs a bulk job (a BULK_DELETE_EVENTS, BULK_MOVE_EVENTS or
+   * BULK_PATCH_EVENTS `request`),
+   * honouring the Pause/Resume/Cancel buttons of the progress dialog. Resolves
+   * with the job result once it completes or is cancelled; a paused job waits
+   * here until the user picks what to do.
+   */
+  async runBackgroundJob(request, progressDialog) {
+    let jobId = null;
+    let awaitChoice = null;
+    let checkpointed = false;
+    
+    const onUpdate = (message) => {
+      if (message.type === 'job') {
+        jobId = message.jobId;
+        return;
+      }
+      // The background saves the job before its first batch
+      checkpointed = checkpointed || ['delete', 'move', 'patch'].includes(message.phase);
+      this.dialogManager.updateProgress(
+        progressDialog,
+        Math.round(((message.total - message.remaining) / message.total) * 100),
+        message
+      );
+    };
+    
+    this.dialogManager.onProgressAction(progressDialog, (action) => {
+      if (awaitChoice) {
+        awaitChoice(action);
+        awaitChoice = null;
+        return;
+      }
+      if (!jobId) return;
+      // The job stops at its next batch boundary and the port reports the result
+      this.dialogManager.setProgressState(progressDialog, 'stopping');
+      chrome.runtime.sendMessage({ action: action === 'cancel' ? 'CANCEL_JOB' : 'PAUSE_JOB', jobId });
+    });
+    
+    const follow = async (request) => {
+      try {
+        const { result } = await this.connectToBackground(request, onUpdate);
+        return result;
+      } catch (error) {
+        if (checkpointed) {
+          throw new Error(`${error.message}. The job was saved and carries on in the background; open the extension popup to follow it.`);
+        }
+        throw error;
+      }
+    };
+    
+    let result = await follow(request);
+    
+    while (result.status === 'paused') {
+      this.dialogManager.setProgressState(progressDialog, 'paused');
+      const choice = await new Promise(resolve => { awaitChoice = resolve; });
+      
+      if (choice === 'cancel') {
+        const response = await chrome.runtime.sendMessage({ action: 'CANCEL_JOB', jobId });
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        return response.result;
+      }
+      
+      this.dialogManager.setProgressState(progressDialog, 'running');
+      result = await follow({ action: 'RESUME_JOB', jobId });
+    }
+    
+    return result;
+  }
+
+  async exportEventsToIcs(events) {
+    const exportable = events.filter(e => e.actualEventId && e.calendarId);
+    if (exportable.length === 0) {
+      await this.dialogManager.showAlert('No events to export.');
+      return;
+    }
+
+    const progressDialog = this.dialogManager.showProgress(`Exporting ${exportable.length} events...`, 0);
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'GET_EVENT_RESOURCES',
+        events: exportable.map(e => ({
+          calendarId: e.calendarId,
+          actualEventId: e.actualEventId,
+          title: e.title
+        })),
+        options: { expandSeries: true }
+      });
+      
+      this.dialogManager.closeDialog(progressDialog);
+      
+      if (!response.success) {
+        await this.dialogManager.showAlert('Export failed: ' + response.error);
+        return;
+      }
+      
+      const ics = new IcsWriter().build(response.resources);
+      this.dialogManager.downloadFile(
+        ics,
+        `calendar-export-${new Date().toISOString().slice(0, 10)}.ics`,
+        'text/calendar;charset=utf-8'
+      );
+      
+      if (response.failed.length > 0) {
+        await this.dialogManager.showAlert(
+          `Exported ${response.resources.length} events. ${response.failed.length} events could not be fetched and were left out.`
+        );
+      }
+    } catch (error) {
+      this.dialogManager.closeDialog(progressDialog);
+      // eslint-disable-next-line no-console
+      console.error('Export error:', error);
+      await this.dialogManager.showAlert('Export failed: ' + error.message);
+    }
+  }
+
+  async undoBulkDeletion(backupIds) {
+    const progressDialog = this.dialogManager.showProgress('Restoring deleted events...', 0);
+    
+    try {
+      // A retried deletion leaves one backup per pass; restore all of them
+      const restored = [];
+      const failed = [];
+      let response = { success: true };
+      for (const backupId of backupIds) {
+        response = await chrome.runtime.sendMessage({
+          action: 'RESTORE_BACKUP',
+          backupId
+        });
+        if (!response.success) break;
+        restored.push(...response.result.restored);
+        failed.push(...response.result.failed);
+      }
+      
+      this.dialogManager.closeDialog(progressDialog);
+      
+      if (response.success) {
+        let message = `Restored ${restored.length} events.`;
+        if (failed.length > 0) {
+          message += `\n${failed.length} events could not be restored. You can retry from the extension popup.`;
+        }
+        await this.dialogManager.showAlert(message);
+      } else {
+        await this.dialogManager.showAlert('Undo failed: ' + response.error);
+      }
+    } catch (error) {
+      this.dialogManager.closeDialog(progressDialog);
+      // eslint-disable-next-line no-console
+      console.error('Undo error:', error);
+      await this.dialogManager.showAlert('Undo failed: ' + error.message);
+    }
+  }
+}
+
+class CustomDialogManager {
+  showAlert(message) {
+    const dialog = this.createDialog({
+      type: 'alert',
+      title: 'Calendar Bulk Delete',
+      message: message,
+      confirmText: 'OK'
+    });
+    
+    return new Promise((resolve) => {
+      const confirmBtn = dialog.querySelector('.extension-btn-confirm');
+      confirmBtn.addEventListener('click', () => {
+        this.closeDialog(dialog);
+        resolve(true);
+      });
+      
+      document.body.appendChild(dialog);
+    });
+  }
+
+  showBulkDeleteDialog(options = {}) {
+    return new Promise((resolve) => {
+      const dialog = this.createBulkDeleteDialog(resolve, options);
+      document.body.appendChild(dialog);
+    });
+  }
+
+  createBulkDeleteDialog(resolve, options) {
+    const calendars = options.calendars || [];
+    const selectedCalendarIds = options.selectedCalendarIds || [];
+    const dialogElement = document.createElement('div');
+    dialogElement.innerHTML = `
+      <div class="extension-backdrop"></div>
+      <div class="extension-dialog" role="dialog" aria-modal="true">
+        <div class="extension-dialog-content">
+          <h2>Bulk Delete Calendar Events</h2>
+          <p id="event-summary">Loading events...</p>
+          
+          <div class="extension-filters">
+            ${options.presetStore ? `
+            <div class="extension-filter-group">
+              <label for="preset-select">Saved presets:</label>
+              <div class="extension-preset-bar">
+                <select id="preset-select" class="extension-filter-input">
+                  <option value="">Choose a preset...</option>
+                </select>
+                <button type="button" class="extension-link-btn" data-preset="save">Save</button>
+                <button type="button" class="extension-link-btn" data-preset="rename">Rename</button>
+                <button type="button" class="extension-link-btn" data-preset="delete">Delete</button>
+                <button type="button" class="extension-link-btn" data-preset="export">Export</button>
+                <button type="button" class="extension-link-btn" data-preset="import">Import</button>
+                <input type="file" id="preset-file" accept=".json,application/json" hidden>
+              </div>
+              <div id="preset-status" class="extension-filter-hint"></div>
+            </div>
+            ` : ''}
+            
+            ${calendars.length > 0 ? `
+            <div class="extension-filter-group">
+              <label>Calendars:</label>
+              <div id="calendar-picker" class="extension-calendar-picker">
+                ${calendars.map(calendar => `
+                  <label class="extension-calendar-option">
+                    <input type="checkbox" value="${this.escapeHtml(calendar.id)}" ${selectedCalendarIds.includes(calendar.id) ? 'checked' : ''}>
+                    <span class="extension-calendar-swatch" style="background: ${this.escapeHtml(calendar.backgroundColor || '#1a73e8')}"></span>
+                    ${this.escapeHtml(calendar.summary)}${this.isWritableCalendar(calendar) ? '' : ' (read-only)'}
+                  </label>
+                `).join('')}
+              </div>
+              <div class="extension-filter-hint">Leave all unchecked to use the events in the current view.</div>
+            </div>
+            ` : ''}
+            
+            <div class="extension-filter-group">
+              <label for="title-filter">Filter by title (optional):</label>
+              <input type="text" id="title-filter" class="extension-filter-input" 
+                     placeholder='e.g. standup -cancelled OR /^\\[HOLD\\]/'>
+              <div id="query-error" class="extension-filter-hint extension-filter-error"></div>
+              <div class="extension-filter-hint">
+                Use "quoted phrases", -exclusions, OR, /regex/ and title:, location:, description:, calendar:, organizer: or attendee: prefixes.
+              </div>
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="type-filter">Event type (optional):</label>
+              <select id="type-filter" class="extension-filter-input">
+                <option value="">All types</option>
+                <option value="default">Regular events</option>
+                <option value="focusTime">Focus time</option>
+                <option value="outOfOffice">Out of office</option>
+                <option value="workingLocation">Working location</option>
+                <option value="fromGmail">From Gmail</option>
+                <option value="birthday">Birthdays</option>
+              </select>
+              <div id="type-hint" class="extension-filter-hint"></div>
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="organizer-filter">Organizer email (optional):</label>
+              <input type="text" id="organizer-filter" class="extension-filter-input"
+                     placeholder="e.g. former.colleague@example.com">
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="attendee-filter">Attendee email (optional):</label>
+              <input type="text" id="attendee-filter" class="extension-filter-input"
+                     placeholder="Any guest whose email or name contains this">
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="rsvp-filter">My response (optional):</label>
+              <select id="rsvp-filter" class="extension-filter-input">
+                <option value="">Any</option>
+                <option value="declined">Declined</option>
+                <option value="tentative">Maybe</option>
+                <option value="needsAction">Not responded</option>
+                <option value="accepted">Accepted</option>
+              </select>
+              <div id="people-hint" class="extension-filter-hint"></div>
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="date-from">From date (optional):</label>
+              <input type="date" id="date-from" class="extension-filter-input">
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="date-to">To date (optional):</label>
+              <input type="date" id="date-to" class="extension-filter-input">
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="ics-file">Match events from an .ics file (optional, or drop it here):</label>
+              <input type="file" id="ics-file" class="extension-filter-input" accept=".ics,text/calendar">
+              <div id="ics-status" class="extension-filter-hint"></div>
+            </div>
+          </div>
+          
+          <div class="extension-selection-bar">
+            <span id="selection-count"></span>
+            <button type="button" class="extension-link-btn" data-select="all">Select all</button>
+            <button type="button" class="extension-link-btn" data-select="none">Select none</button>
+            <button type="button" class="extension-link-btn" data-select="invert">Invert</button>
+          </div>
+          <div class="extension-event-list" id="filtered-events"></div>
+          
+          <div class="extension-dialog-actions">
+            <label class="extension-dry-run" title="Check what would be deleted and why anything would be skipped, without deleting">
+              <input type="checkbox" id="dry-run"> Dry run
+            </label>
+            <button class="extension-btn extension-btn-secondary extension-btn-export">Export .ics</button>
+            <button class="extension-btn extension-btn-secondary extension-btn-edit" title="Find and replace in titles, recolor or change visibility of the selected events">Edit…</button>
+            ${calendars.some(calendar => this.isWritableCalendar(calendar)) ? `
+            <button class="extension-btn extension-btn-secondary extension-btn-move" title="Move the selected events to another calendar instead of deleting them">Move to…</button>
+            ` : ''}
+            <button class="extension-btn extension-btn-cancel extension-btn-duplicates">Find Duplicates</button>
+            <button class="extension-btn extension-btn-cancel extension-btn-close">Cancel</button>
+            <button class="extension-btn extension-btn-confirm">Delete Selected Events</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.attachBulkDeleteEvents(dialogElement, resolve, options);
+    return dialogElement;
+  }
+
+  attachBulkDeleteEvents(dialogElement, resolve, options) {
+    const cancelBtn = dialogElement.querySelector('.extension-btn-close');
+    const duplicatesBtn = dialogElement.querySelector('.extension-btn-duplicates');
+    const exportBtn = dialogElement.querySelector('.extension-btn-export');
+    const moveBtn = dialogElement.querySelector('.extension-btn-move');
+    const editBtn = dialogElement.querySelector('.extension-btn-edit');
+    const confirmBtn = dialogElement.querySelector('.extension-btn-confirm');
+    const titleFilter = dialogElement.querySelector('#title-filter');
+    const queryError = dialogElement.querySelector('#query-error');
+    const organizerFilter = dialogElement.querySelector('#organizer-filter');
+    const attendeeFilter = dialogElement.querySelector('#attendee-filter');
+    const rsvpFilter = dialogElement.querySelector('#rsvp-filter');
+    const typeFilter = dialogElement.querySelector('#type-filter');
+    const typeHint = dialogElement.querySelector('#type-hint');
+    const peopleHint = dialogElement.querySelector('#people-hint');
+    const dateFrom = dialogElement.querySelector('#date-from');
+    const dateTo = dialogElement.querySelector('#date-to');
+    const eventsList = dialogElement.querySelector('#filtered-events');
+    const selectionCount = dialogElement.querySelector('#selection-count');
+    const icsFile = dialogElement.querySelector('#ics-file');
+    const icsStatus = dialogElement.querySelector('#ics-status');
+    const eventSummary = dialogElement.querySelector('#event-summary');
+    const calendarPicker = dialogElement.querySelector('#calendar-picker');
+    const dryRun = dialogElement.querySelector('#dry-run');
+    const presetSelect = dialogElement.querySelector('#preset-select');
+
+    // baseEvents come from the calendar picker (or the current view), icsMatches may narrow them down
+    let baseEvents = [];
+    let icsMatches = null;
+    let filteredEvents = [];
+    // Unticked events; kept by id so the choice survives filter changes and reloads
+    const excludedIds = new Set();
+    let selectedEvents = [];
+    let lastClickedIndex = null;
+    let loading = false;
+    // recurringEventId -> 'instances' | 'following' | 'series'
+    const seriesModes = new Map();
+
+    const updateFilteredEvents = () => {
+      // An unparseable query matches nothing rather than everything
+      const { query, error } = EventQuery.tryParse(titleFilter.value);
+      queryError.textContent = error ? error.message : '';
+      const people = {
+        organizer: organizerFilter.value,
+        attendee: attendeeFilter.value,
+        responseStatus: rsvpFilter.value
+      };
+      const fromDate = dateFrom.value ? new Date(dateFrom.value) : null;
+      const toDate = dateTo.value ? new Date(dateTo.value) : null;
+      updatePeopleHint(people);
+
+      filteredEvents = (icsMatches || baseEvents).filter(event => {
+        // Skip read-only events
+        if (!event.canDelete) {
+          return false;
+        }
+        
+        // Query filter
+        if (!query || !query.matches(event)) {
+          return false;
+        }
+        
+        // Event type filter; DOM-scraped events carry no type and count as regular
+        if (typeFilter.value && (event.eventType || 'default') !== typeFilter.value) {
+          return false;
+        }
+        
+        // Organizer, attendee and RSVP filters
+        if (!this.matchesPeople(event, people)) {
+          return false;
+        }
+        
+        // Date filters
+        if (event.startTime) {
+          const eventDate = new Date(event.startTime);
+          if (fromDate && eventDate < fromDate) return false;
+          if (toDate && eventDate > toDate) return false;
+        }
+        
+        return true;
+      });
+
+      // Update display
+      eventsList.innerHTML = this.renderEventItems(filteredEvents, seriesModes, excludedIds);
+      lastClickedIndex = null;
+      updateSelection();
+    };
+
+    // What gets deleted is the filter matches minus anything unticked
+    const updateSelection = () => {
+      selectedEvents = filteredEvents.filter(event => !excludedIds.has(event.id));
+      selectionCount.textContent = `${selectedEvents.length} of ${filteredEvents.length} selected`;
+      
+      confirmBtn.textContent = dryRun.checked
+        ? `Dry Run ${selectedEvents.length} Events`
+        : `Delete ${selectedEvents.length} Events`;
+      confirmBtn.disabled = loading || selectedEvents.length === 0;
+      exportBtn.disabled = selectedEvents.length === 0;
+      // Moves and edits have no dry run; the edit dialog previews instead
+      if (moveBtn) moveBtn.disabled = loading || selectedEvents.length === 0 || dryRun.checked;
+      editBtn.disabled = loading || selectedEvents.length === 0 || dryRun.checked;
+      duplicatesBtn.disabled = loading || selectedEvents.length === 0;
+    };
+    
+    const setSelected = (checkbox, selected) => {
+      checkbox.checked = selected;
+      if (selected) {
+        excludedIds.delete(checkbox.dataset.eventId);
+      } else {
+        excludedIds.add(checkbox.dataset.eventId);
+      }
+    };
+
+    // Pages stream in as they arrive so large ranges show up incrementally
+    const loadEvents = async (calendarIds) => {
+      loading = true;
+      baseEvents = [];
+      clearIcsMatches();
+      eventSummary.textContent = 'Loading events...';
+      calendarPicker?.querySelectorAll('input').forEach(input => { input.disabled = true; });
+      if (presetSelect) presetSelect.disabled = true;
+      
+      try {
+        await options.loadEvents(calendarIds, (page) => {
+          baseEvents = baseEvents.concat(page);
+          eventSummary.textContent = `Loading events... ${baseEvents.length} so far`;
+          updateFilteredEvents();
+        });
+        eventSummary.textContent = this.describeEvents(baseEvents);
+      } catch (error) {
+        eventSummary.textContent = `Only ${baseEvents.length} events could be loaded: ${error.message}`;
+      }
+      
+      loading = false;
+      calendarPicker?.querySelectorAll('input').forEach(input => { input.disabled = false; });
+      if (presetSelect) presetSelect.disabled = false;
+      updateFilteredEvents();
+    };
+
+    const getPickedCalendarIds = () => (calendarPicker
+      ? [...calendarPicker.querySelectorAll('input:checked')].map(input => input.value)
+      : []);
+
+    const getFilters = () => ({
+      query: titleFilter.value,
+      organizer: organizerFilter.value,
+      attendee: attendeeFilter.value,
+      responseStatus: rsvpFilter.value,
+      eventType: typeFilter.value,
+      fromDate: dateFrom.value,
+      toDate: dateTo.value
+    });
+
+    // The calendar grid shows no organizer, guests or RSVPs, so these
+    // filters match none of the events read from the page
+    const updatePeopleHint = (people) => {
+      const fromPage = baseEvents.some(event => event.element);
+      const filtering = Object.values(people).some(value => value.trim() !== '');
+      peopleHint.textContent = fromPage && filtering
+        ? 'Events read from the calendar page have no organizer, guest or response details, so these filters match none of them.' +
+          (calendarPicker ? ' Pick calendars above to load the details from Google Calendar.' : '')
+        : '';
+    };
+
+    const updateTypeHint = () => {
+      typeHint.textContent = typeFilter.value === 'birthday'
+        ? 'Birthdays cannot be deleted through the Calendar API. Remove or edit the contact in Google Contacts instead.'
+        : '';
+    };
+
+    // Add event listeners for real-time filtering
+    titleFilter.addEventListener('input', updateFilteredEvents);
+    organizerFilter.addEventListener('input', updateFilteredEvents);
+    attendeeFilter.addEventListener('input', updateFilteredEvents);
+    rsvpFilter.addEventListener('change', updateFilteredEvents);
+    typeFilter.addEventListener('change', () => {
+      updateTypeHint();
+      updateFilteredEvents();
+    });
+    dateFrom.addEventListener('change', updateFilteredEvents);
+    dateTo.addEventListener('change', updateFilteredEvents);
+    dryRun.addEventListener('change', updateSelection);
+
+    eventsList.addEventListener('change', (e) => {
+      if (e.target.classList.contains('extension-series-mode')) {
+        seriesModes.set(e.target.dataset.seriesId, e.target.value);
+      }
+    });
+
+    // Shift-click applies the clicked box's new state to the whole range since the last click
+    eventsList.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('extension-event-select')) return;
+      
+      const checkboxes = [...eventsList.querySelectorAll('.extension-event-select')];
+      const index = checkboxes.indexOf(e.target);
+      if (e.shiftKey && lastClickedIndex !== null) {
+        const [start, end] = [Math.min(index, lastClickedIndex), Math.max(index, lastClickedIndex)];
+        checkboxes.slice(start, end + 1).forEach(checkbox => setSelected(checkbox, e.target.checked));
+      } else {
+        setSelected(e.target, e.target.checked);
+      }
+      lastClickedIndex = index;
+      updateSelection();
+    });
+
+    dialogElement.querySelectorAll('[data-select]').forEach(button => {
+      button.addEventListener('click', () => {
+        eventsList.querySelectorAll('.extension-event-select').forEach(checkbox => {
+          const selected = {
+            all: true,
+            none: false,
+            invert: !checkbox.checked
+          }[button.dataset.select];
+          setSelected(checkbox, selected);
+        });
+        updateSelection();
+      });
+    });
+
+    const clearIcsMatches = () => {
+      icsMatches = null;
+      icsFile.value = '';
+      icsStatus.textContent = '';
+      updateFilteredEvents();
+    };
+
+    const applyIcsFile = async (file) => {
+      if (!file || !options.onImportIcs) return;
+      
+      icsStatus.textContent = `Matching events from ${file.name}...`;
+      try {
+        const { matches, unmatched, total } = await options.onImportIcs(file);
+        icsMatches = matches;
+        icsStatus.innerHTML = `Matched ${matches.length} calendar events to ${total - unmatched.length} of ${total} events in ${this.escapeHtml(file.name)}. <a href="#" class="extension-ics-clear">Clear</a>`;
+        icsStatus.querySelector('.extension-ics-clear').addEventListener('click', (e) => {
+          e.preventDefault();
+          clearIcsMatches();
+        });
+      } catch (error) {
+        icsMatches = null;
+        icsStatus.textContent = `Could not read ${file.name}: ${error.message}`;
+      }
+      updateFilteredEvents();
+    };
+
+    icsFile.addEventListener('change', () => applyIcsFile(icsFile.files[0]));
+
+    const dialogBox = dialogElement.querySelector('.extension-dialog');
+    dialogBox.addEventListener('dragover', (e) => e.preventDefault());
+    dialogBox.addEventListener('drop', (e) => {
+      e.preventDefault();
+      applyIcsFile(e.dataTransfer?.files?.[0]);
+    });
+
+    if (calendarPicker) {
+      calendarPicker.addEventListener('change', () => loadEvents(getPickedCalendarIds()));
+    }
+
+    if (presetSelect) {
+      this.attachPresetEvents(dialogElement, options.presetStore, {
+        getFilters: () => ({ ...getFilters(), calendarIds: getPickedCalendarIds() }),
+        // Returns how many of the preset's calendars are not in the picker
+        applyFilters: (filters) => {
+          titleFilter.value = filters.query || '';
+          organizerFilter.value = filters.organizer || '';
+          attendeeFilter.value = filters.attendee || '';
+          rsvpFilter.value = filters.responseStatus || '';
+          typeFilter.value = filters.eventType || '';
+          dateFrom.value = filters.fromDate || '';
+          dateTo.value = filters.toDate || '';
+          updateTypeHint();
+          
+          // Presets saved without calendars leave the current pick alone
+          const calendarIds = filters.calendarIds || [];
+          if (!calendarPicker || calendarIds.length === 0) {
+            updateFilteredEvents();
+            return 0;
+          }
+          
+          const previous = getPickedCalendarIds();
+          const inputs = [...calendarPicker.querySelectorAll('input')];
+          inputs.forEach(input => { input.checked = calendarIds.includes(input.value); });
+          const picked = getPickedCalendarIds();
+          if (picked.join('\n') !== previous.join('\n')) {
+            loadEvents(picked);
+          } else {
+            updateFilteredEvents();
+          }
+          return calendarIds.filter(id => !inputs.some(input => input.value === id)).length;
+        }
+      });
+    }
+
+    cancelBtn.addEventListener('click', () => {
+      this.closeDialog(dialogElement);
+      resolve(null);
+    });
+
+    // Copies are found among every loaded event, so an original the filters
+    // hide still counts; only the selected events are ticked for deletion
+    duplicatesBtn.addEventListener('click', () => {
+      this.closeDialog(dialogElement);
+      resolve({ mode: 'duplicates', events: baseEvents, selectedIds: selectedEvents.map(event => event.id) });
+    });
+
+    editBtn.addEventListener('click', async () => {
+      if (selectedEvents.length === 0) return;
+      
+      const patch = await this.showPatchDialog(selectedEvents);
+      if (!patch) return;
+      
+      this.closeDialog(dialogElement);
+      resolve({
+        mode: 'patch',
+        eventIds: selectedEvents.map(e => e.id),
+        patch,
+        filters: getFilters()
+      });
+    });
+
+    moveBtn?.addEventListener('click', async () => {
+      if (selectedEvents.length === 0) return;
+      
+      const destinations = (options.calendars || []).filter(calendar => this.isWritableCalendar(calendar));
+      const destinationId = await this.showChoice(
+        `Move ${selectedEvents.length} selected events to:`,
+        destinations.map(calendar => ({ value: calendar.id, label: calendar.summary })),
+        'Move Events',
+        'Move'
+      );
+      if (!destinationId) return;
+      
+      this.closeDialog(dialogElement);
+      resolve({
+        mode: 'move',
+        eventIds: selectedEvents.map(e => e.id),
+        seriesActions: this.getSeriesActions(selectedEvents, seriesModes),
+        destination: destinations.find(calendar => calendar.id === destinationId),
+        filters: getFilters()
+      });
+    });
+
+    exportBtn.addEventListener('click', async () => {
+      if (selectedEvents.length === 0 || !options.onExport) return;
+      
+      exportBtn.disabled = true;
+      await options.onExport(selectedEvents);
+      exportBtn.disabled = false;
+    });
+
+    confirmBtn.addEventListener('click', async () => {
+      if (selectedEvents.length === 0) return;
+      
+      const seriesActions = this.getSeriesActions(selectedEvents, seriesModes);
+      const result = {
+        eventIds: selectedEvents.map(e => e.id),
+        seriesActions,
+        dryRun: dryRun.checked,
+        filters: getFilters()
+      };
+      
+      // Nothing is deleted by a dry run, so it needs no confirmation
+      if (dryRun.checked) {
+        this.closeDialog(dialogElement);
+        resolve(result);
+        return;
+      }
+      
+      const settings = await new SettingsStore().load();
+      if (!settings.confirmDeletions) {
+        this.closeDialog(dialogElement);
+        resolve(result);
+        return;
+      }
+      
+      const undoNote = settings.autoBackup
+        ? 'A backup is saved first, so you can undo this afterwards or restore it later from the extension popup.'
+        : 'This action cannot be undone.';
+      
+      const seriesNote = seriesActions.length > 0
+        ? ` This includes ${seriesActions.filter(a => a.mode === 'series').length} whole series and ${seriesActions.filter(a => a.mode === 'following').length} series shortened from a date onward.`
+        : '';
+      
+      const finalConfirm = await this.showConfirm(
+        `Are you sure you want to delete ${selectedEvents.length} events?${seriesNote} ${undoNote}`,
+        'Confirm Deletion'
+      );
+      
+      if (finalConfirm) {
+        this.closeDialog(dialogElement);
+        resolve(result);
+      }
+    });
+
+    // Initial load
+    loadEvents(options.selectedCalendarIds || []);
+  }
+
+  attachPresetEvents(dialogElement, presetStore, { getFilters, applyFilters }) {
+    const presetSelect = dialogElement.querySelector('#preset-select');
+    const presetFile = dialogElement.querySelector('#preset-file');
+    const presetStatus = dialogElement.querySelector('#preset-status');
+    const buttons = Object.fromEntries(
+      [...dialogElement.querySelectorAll('[data-preset]')].map(button => [button.dataset.preset, button])
+    );
+    let presets = [];
+
+    const refreshPresets = async (selectedId = presetSelect.value) => {
+      presets = await presetStore.listPresets();
+      presetSelect.innerHTML = `
+        <option value="">Choose a preset...</option>
+        ${presets.map(preset => `<option value="${this.escapeHtml(preset.id)}">${this.escapeHtml(preset.name)}</option>`).join('')}
+      `;
+      presetSelect.value = presets.some(preset => preset.id === selectedId) ? selectedId : '';
+      updateButtons();
+    };
+
+    const updateButtons = () => {
+      buttons.rename.disabled = !presetSelect.value;
+      buttons.delete.disabled = !presetSelect.value;
+      buttons.export.disabled = presets.length === 0;
+    };
+
+    // Storage errors (e.g. the sync quota) are shown inline rather than in a dialog
+    const run = async (action) => {
+      try {
+        presetStatus.textContent = '';
+        await action(presets.find(preset => preset.id === presetSelect.value));
+      } catch (error) {
+        presetStatus.textContent = `Presets: ${error.message}`;
+      }
+    };
+
+    presetSelect.addEventListener('change', () => run((preset) => {
+      updateButtons();
+      if (!preset) return;
+      
+      const missing = applyFilters(preset.filters);
+      if (missing > 0) {
+        presetStatus.textContent = `${missing} of the preset's calendars are not in your calendar list and were skipped.`;
+      }
+    }));
+
+    buttons.save.addEventListener('click', () => run(async (selected) => {
+      const name = await this.showPrompt('Save the current filters as:', selected?.name || '', 'Save Preset');
+      if (name === null) return;
+      
+      const preset = await presetStore.savePreset(name, getFilters());
+      await refreshPresets(preset.id);
+      presetStatus.textContent = `Saved "${preset.name}".`;
+    }));
+
+    buttons.rename.addEventListener('click', () => run(async (selected) => {
+      if (!selected) return;
+      
+      const name = await this.showPrompt(`Rename "${this.escapeHtml(selected.name)}" to:`, selected.name, 'Rename Preset');
+      if (name === null) return;
+      
+      await presetStore.renamePreset(selected.id, name);
+      await refreshPresets(selected.id);
+    }));
+
+    buttons.delete.addEventListener('click', () => run(async (selected) => {
+      if (!selected) return;
+      
+      const confirmed = await this.showConfirm(`Delete the preset "${this.escapeHtml(selected.name)}"?`, 'Delete Preset');
+      if (!confirmed) return;
+      
+      await presetStore.deletePreset(selected.id);
+      await refreshPresets('');
+    }));
+
+    buttons.export.addEventListener('click', () => run(async () => {
+      this.downloadFile(await presetStore.exportPresets(), 'calendar-filter-presets.json', 'application/json');
+    }));
+
+    buttons.import.addEventListener('click', () => presetFile.click());
+    presetFile.addEventListener('change', () => run(async () => {
+      const file = presetFile.files[0];
+      if (!file) return;
+      
+      presetFile.value = '';
+      const count = await presetStore.importPresets(await file.text());
+      await refreshPresets();
+      presetStatus.textContent = `Imported ${count} presets from ${file.name}.`;
+    }));
+
+    run(() => refreshPresets());
+  }
+
+  isWritableCalendar(calendar) {
+    return ['owner', 'writer'].includes(calendar.accessRole);
+  }
+
+  matchesPeople(event, { organizer = '', attendee = '', responseStatus = '' }) {
+    const contains = (value, needle) => Boolean(value) && value.toLowerCase().includes(needle);
+    
+    const organizerNeedle = organizer.trim().toLowerCase();
+    if (organizerNeedle &&
+        !contains(event.organizer, organizerNeedle) &&
+        !contains(event.organizerName, organizerNeedle)) {
+      return false;
+    }
+    
+    const attendeeNeedle = attendee.trim().toLowerCase();
+    if (attendeeNeedle && !(event.attendees || []).some(guest => (
+      contains(guest.email, attendeeNeedle) || contains(guest.displayName, attendeeNeedle)
+    ))) {
+      return false;
+    }
+    
+    return !responseStatus || event.responseStatus === responseStatus;
+  }
+
+  /**
+   * Lists the clusters `findClusters` returns for the chosen tolerance. With
+   * `selectedIds`, only clusters holding a selected event are shown and only
+   * selected copies start out ticked for deletion. Resolves with the ids to
+   * delete, or null when cancelled.
+   */
+  showDuplicatesDialog({ findClusters, selectedIds = null }) {
+    const dialogElement = document.createElement('div');
+    dialogElement.innerHTML = `
+      <div class="extension-backdrop"></div>
+      <div class="extension-dialog" role="dialog" aria-modal="true">
+        <div class="extension-dialog-content">
+          <h2>Find Duplicate Events</h2>
+          <p id="duplicate-summary"></p>
+          
+          <div class="extension-filter-group">
+            <label for="duplicate-tolerance">Also match copies whose times differ by up to (minutes):</label>
+            <input type="number" id="duplicate-tolerance" class="extension-filter-input" min="0" value="0">
+            <div class="extension-filter-hint">
+              Events match when they share an iCalUID, or have the same title, start and end, in the same calendar.
+              Pick the copy to keep in each group; the ticked copies are deleted.
+            </div>
+          </div>
+          
+          <div class="extension-event-list" id="duplicate-clusters"></div>
+          
+          <div class="extension-dialog-actions">
+            <button class="extension-btn extension-btn-cancel">Cancel</button>
+            <button class="extension-btn extension-btn-confirm">Delete Copies</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    const summary = dialogElement.querySelector('#duplicate-summary');
+    const tolerance = dialogElement.querySelector('#duplicate-tolerance');
+    const clusterList = dialogElement.querySelector('#duplicate-clusters');
+    const confirmBtn = dialogElement.querySelector('.extension-btn-confirm');
+    const selected = selectedIds ? new Set(selectedIds) : null;
+    // Ticks the user changed, by event id; the rest follow the selection
+    const ticks = new Map();
+    const isTicked = (event) => (ticks.has(event.id) ? ticks.get(event.id) : !selected || selected.has(event.id));
+    let clusters = [];
+    
+    const getCopiesToDelete = () => clusters.flatMap(cluster => (
+      cluster.events.filter(event => event.id !== cluster.keepId && event.canDelete && isTicked(event))
+    ));
+    
+    const updateSummary = () => {
+      const copies = getCopiesToDelete();
+      summary.textContent = clusters.length === 0
+        ? 'No duplicates found in the loaded events.'
+        : `Found ${clusters.length} groups of duplicates; ${copies.length} copies will be deleted.`;
+      confirmBtn.textContent = `Delete ${copies.length} Copies`;
+      confirmBtn.disabled = copies.length === 0;
+    };
+    
+    const renderClusters = () => {
+      clusterList.innerHTML = this.renderDuplicateClusters(clusters, isTicked);
+      updateSummary();
+    };
+    
+    const render = () => {
+      clusters = findClusters(Math.max(0, Number(tolerance.value) || 0))
+        .filter(cluster => !selected || cluster.events.some(event => selected.has(event.id)));
+      renderClusters();
+    };
+    
+    tolerance.addEventListener('change', render);
+    
+    clusterList.addEventListener('change', (e) => {
+      if (e.target.name?.startsWith('keep-')) {
+        clusters[Number(e.target.dataset.cluster)].keepId = e.target.value;
+        // The kept copy can no longer be ticked
+        renderClusters();
+      } else if (e.target.classList.contains('extension-duplicate-delete')) {
+        ticks.set(e.target.dataset.eventId, e.target.checked);
+        updateSummary();
+      }
+    });
+    
+    render();
+    
+    return new Promise((resolve) => {
+      dialogElement.querySelector('.extension-btn-cancel').addEventListener('click', () => {
+        this.closeDialog(dialogElement);
+        resolve(null);
+      });
+      
+      confirmBtn.addEventListener('click', async () => {
+        const copies = getCopiesToDelete();
+        if (copies.length === 0) return;
+        
+        const finalConfirm = await this.showConfirm(
+          `Delete ${copies.length} duplicate copies and keep one event from each of ${clusters.length} groups?`,
+          'Confirm Deletion'
+        );
+        if (finalConfirm) {
+          this.closeDialog(dialogElement);
+          resolve({ eventIds: copies.map(event => event.id) });
+        }
+      });
+      
+      document.body.appendChild(dialogElement);
+    });
+  }
+
+  renderDuplicateClusters(clusters, isTicked = () => true) {
+    return clusters.map((cluster, index) => `
+      <div class="extension-series-group">
+        <div class="extension-series-header">
+          <strong>${this.escapeHtml(cluster.events[0].title)}</strong>
+          <small>${cluster.events.length} copies · ${this.escapeHtml(cluster.reason)}</small>
+        </div>
+        ${cluster.events.map(event => `
+          <div class="extension-event-item extension-duplicate-item">
+            <label>
+              <input type="radio" name="keep-${index}" value="${this.escapeHtml(event.id)}"
+                     data-cluster="${index}" ${event.id === cluster.keepId ? 'checked' : ''}>
+              Keep
+            </label>
+            <label>
+              <input type="checkbox" class="extension-duplicate-delete" data-event-id="${this.escapeHtml(event.id)}"
+                     ${event.id !== cluster.keepId && event.canDelete && isTicked(event) ? 'checked' : ''}
+                     ${event.id === cluster.keepId || !event.canDelete ? 'disabled' : ''}>
+              Delete
+            </label>
+            ${event.calendarColor ? `<span class="extension-calendar-swatch" style="background: ${this.escapeHtml(event.calendarColor)}"></span>` : ''}
+            ${event.startTime ? new Date(event.startTime).toLocaleString() : 'No start time'}
+            ${event.calendarName ? `<small>· ${this.escapeHtml(event.calendarName)}</small>` : ''}
+            ${event.created ? `<small>· created ${new Date(event.created).toLocaleDateString()}</small>` : ''}
+            ${event.canDelete ? '' : '<small>· read-only</small>'}
+          </div>
+        `).join('')}
+      </div>
+    `).join('');
+  }
+
+  describeEvents(events) {
+    const deletable = events.filter(e => e.canDelete).length;
+    return `Found ${events.length} events (${deletable} can be deleted, ${events.length - deletable} are read-only). Configure filters below:`;
+  }
+
+  groupBySeries(events) {
+    const items = [];
+    const groups = new Map();
+    
+    events.forEach(event => {
+      if (!event.recurringEventId) {
+        items.push({ type: 'event', event });
+        return;
+      }
+      
+      const key = `${event.calendarId}/${event.recurringEventId}`;
+      if (!groups.has(key)) {
+        const group = {
+          type: 'series',
+          recurringEventId: event.recurringEventId,
+          calendarId: event.calendarId,
+          title: event.title,
+          events: []
+        };
+        groups.set(key, group);
+        items.push(group);
+      }
+      groups.get(key).events.push(event);
+    });
+    
+    return items;
+  }
+
+  getSeriesStart(group) {
+    const starts = group.events
+      .map(e => e.originalStartTime || e.startTime)
+      .filter(Boolean)
+      .sort((a, b) => new Date(a) - new Date(b));
+    return starts[0] || null;
+  }
+
+  getSeriesActions(events, seriesModes) {
+    return this.groupBySeries(events)
+      .filter(item => item.type === 'series')
+      .map(group => ({
+        recurringEventId: group.recurringEventId,
+        calendarId: group.calendarId,
+        title: group.title,
+        mode: seriesModes.get(group.recurringEventId) || 'instances',
+        from: this.getSeriesStart(group)
+      }))
+      .filter(action => action.mode === 'series' || (action.mode === 'following' && action.from));
+  }
+
+  renderEventItems(events, seriesModes, excludedIds = new Set()) {
+    const renderEvent = (event) => `
+      <div class="extension-event-item" data-event-id="${this.escapeHtml(event.id)}">
+        <input type="checkbox" class="extension-event-select" data-event-id="${this.escapeHtml(event.id)}"
+               ${excludedIds.has(event.id) ? '' : 'checked'} aria-label="Include ${this.escapeHtml(event.title)}">
+        ${event.calendarColor ? `<span class="extension-calendar-swatch" style="background: ${this.escapeHtml(event.calendarColor)}" title="${this.escapeHtml(event.calendarName || event.calendarId)}"></span>` : ''}
+        <strong>${this.escapeHtml(event.title)}</strong>
+        ${event.startTime ? `<br><small>${new Date(event.startTime).toLocaleString()}</small>` : ''}
+      </div>
+    `;
+    
+    return this.groupBySeries(events).map(item => {
+      if (item.type === 'event') {
+        return renderEvent(item.event);
+      }
+      
+      const mode = seriesModes.get(item.recurringEventId) || 'instances';
+      const from = this.getSeriesStart(item);
+      const option = (value, label, disabled = false) =>
+        `<option value="${value}" ${mode === value ? 'selected' : ''} ${disabled ? 'disabled' : ''}>${label}</option>`;
+      
+      return `
+        <div class="extension-series-group">
+          <div class="extension-series-header">
+            <strong>&#8635; ${this.escapeHtml(item.title)}</strong>
+            <small>Recurring series · ${item.events.length} occurrence${item.events.length === 1 ? '' : 's'} shown</small>
+            <select class="extension-series-mode" data-series-id="${this.escapeHtml(item.recurringEventId)}">
+              ${option('instances', `Delete only these ${item.events.length} occurrences`)}
+              ${option('following', from ? `Delete all occurrences from ${new Date(from).toLocaleDateString()} onward` : 'Delete from this date onward (start unknown)', !from)}
+              ${option('series', 'Delete the entire series')}
+            </select>
+          </div>
+          ${item.events.map(renderEvent).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Bulk edit options with a live before/after preview of every event that
+   * would change. Resolves with the EventPatch options, or null when
+   * cancelled.
+   */
+  showPatchDialog(events) {
+    const { colors } = new EventPatch();
+    const fromPage = events.filter(event => event.element).length;
+    const dialogElement = document.createElement('div');
+    dialogElement.innerHTML = `
+      <div class="extension-backdrop"></div>
+      <div class="extension-dialog" role="dialog" aria-modal="true">
+        <div class="extension-dialog-content">
+          <h2>Edit ${events.length} Events</h2>
+          
+          <div class="extension-filters">
             <div class="extension-filter-group">
-              <label for="date-from">From date (optional):</label>
-              <input type="date" id="date-from" class="extension-filter-input">
+              <label for="patch-find">Find (regular expression):</label>
+              <input type="text" id="patch-find" class="extension-filter-input" placeholder="e.g. ^\\[TENTATIVE\\]\\s*">
+              <label for="patch-replace">Replace with:</label>
+              <input type="text" id="patch-replace" class="extension-filter-input" placeholder="Leave empty to remove the match; $1 inserts a group">
+              <div class="extension-filter-hint">
+                <label><input type="checkbox" data-patch-field="summary" checked> Title</label>
+                <label><input type="checkbox" data-patch-field="description"> Description</label>
+                <label><input type="checkbox" id="patch-match-case"> Match case</label>
+              </div>
             </div>
             
             <div class="extension-filter-group">
-              <label for="date-to">To date (optional):</label>
-              <input type="date" id="date-to" class="extension-filter-input">
+              <label for="patch-color">Color:</label>
+              <select id="patch-color" class="extension-filter-input">
+                <option value="">Don't change</option>
+                ${Object.entries(colors).map(([colorId, name]) => `<option value="${colorId}">${name}</option>`).join('')}
+              </select>
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="patch-visibility">Visibility:</label>
+              <select id="patch-visibility" class="extension-filter-input">
+                <option value="">Don't change</option>
+                <option value="default">Calendar default</option>
+                <option value="public">Public</option>
+                <option value="private">Private</option>
+              </select>
+            </div>
+            
+            <div class="extension-filter-group">
+              <label for="patch-transparency">Show as:</label>
+              <select id="patch-transparency" class="extension-filter-input">
+                <option value="">Don't change</option>
+                <option value="opaque">Busy</option>
+                <option value="transparent">Free</option>
+              </select>
+            </div>
+            
+            <div class="extension-filter-group">
+              <label><input type="checkbox" id="patch-clear-reminders"> Remove all reminders</label>
             </div>
           </div>
           
-          <div class="extension-event-list" id="filtered-events">
-            ${events.map(event => `
-              <div class="extension-event-item" data-event-id="${event.id}">
-                <strong>${this.escapeHtml(event.title)}</strong>
-                ${event.startTime ? `<br><small>${new Date(event.startTime).toLocaleString()}</small>` : ''}
-              </div>
-            `).join('')}
-          </div>
+          <div id="patch-error" class="extension-filter-hint extension-filter-error"></div>
+          ${fromPage > 0 ? `
+            <div class="extension-filter-hint" id="patch-page-hint">
+              ${fromPage} of these events were read from the calendar page, which only shows their text.
+              Their real title, color and settings are read from Google Calendar before they are edited,
+              so what changes for them may differ from this preview.
+            </div>
+          ` : ''}
+          <p id="patch-summary"></p>
+          <div class="extension-event-list" id="patch-preview"></div>
           
           <div class="extension-dialog-actions">
             <button class="extension-btn extension-btn-cancel">Cancel</button>
-            <button class="extension-btn extension-btn-confirm">Delete Selected Events</button>
+            <button class="extension-btn extension-btn-confirm">Apply</button>
           </div>
         </div>
       </div>
     `;
-
-    this.attachBulkDeleteEvents(dialogElement, events, resolve);
-    return dialogElement;
-  }
-
-  attachBulkDeleteEvents(dialogElement, allEvents, resolve) {
+    
+    const find = dialogElement.querySelector('#patch-find');
+    const replace = dialogElement.querySelector('#patch-replace');
+    const matchCase = dialogElement.querySelector('#patch-match-case');
+    const color = dialogElement.querySelector('#patch-color');
+    const visibility = dialogElement.querySelector('#patch-visibility');
+    const transparency = dialogElement.querySelector('#patch-transparency');
+    const clearReminders = dialogElement.querySelector('#patch-clear-reminders');
+    const errorText = dialogElement.querySelector('#patch-error');
+    const summary = dialogElement.querySelector('#patch-summary');
+    const preview = dialogElement.querySelector('#patch-preview');
     const cancelBtn = dialogElement.querySelector('.extension-btn-cancel');
     const confirmBtn = dialogElement.querySelector('.extension-btn-confirm');
-    const titleFilter = dialogElement.querySelector('#title-filter');
-    const dateFrom = dialogElement.querySelector('#date-from');
-    const dateTo = dialogElement.querySelector('#date-to');
-    const eventsList = dialogElement.querySelector('#filtered-events');
-
-    let filteredEvents = [...allEvents];
-
-    const updateFilteredEvents = () => {
-      const titleKeyword = titleFilter.value.toLowerCase().trim();
-      const fromDate = dateFrom.value ? new Date(dateFrom.value) : null;
-      const toDate = dateTo.value ? new Date(dateTo.value) : null;
-
-      filteredEvents = allEvents.filter(event => {
-        // Skip read-only events
-        if (!event.canDelete) {
-          return false;
-        }
-        
-        // Title filter
-        if (titleKeyword && !event.title.toLowerCase().includes(titleKeyword)) {
-          return false;
-        }
-        
-        // Date filters
-        if (event.startTime) {
-          const eventDate = new Date(event.startTime);
-          if (fromDate && eventDate < fromDate) return false;
-          if (toDate && eventDate > toDate) return false;
-        }
-        
-        return true;
-      });
-
-      // Update display
-      eventsList.innerHTML = filteredEvents.map(event => `
-        <div class="extension-event-item" data-event-id="${event.id}">
+    
+    const readOptions = () => ({
+      find: find.value,
+      replace: replace.value,
+      fields: [...dialogElement.querySelectorAll('[data-patch-field]:checked')].map(box => box.dataset.patchField),
+      matchCase: matchCase.checked,
+      colorId: color.value,
+      visibility: visibility.value,
+      transparency: transparency.value,
+      clearReminders: clearReminders.checked
+    });
+    
+    const updatePreview = () => {
+      let patch;
+      try {
+        patch = new EventPatch(readOptions());
+        errorText.textContent = '';
+      } catch (error) {
+        errorText.textContent = error.message;
+        patch = null;
+      }
+      
+      const changed = patch && !patch.isEmpty()
+        ? events.map(event => ({ event, ...patch.apply(event) })).filter(item => item.body)
+        : [];
+      summary.textContent = patch && !patch.isEmpty()
+        ? `${changed.length} of ${events.length} events will change.`
+        : 'Choose a change to preview it.';
+      preview.innerHTML = changed.map(({ event, changes }) => `
+        <div class="extension-event-item">
           <strong>${this.escapeHtml(event.title)}</strong>
-          ${event.startTime ? `<br><small>${new Date(event.startTime).toLocaleString()}</small>` : ''}
+          ${Object.entries(changes).map(([field, change]) => `
+            <br><small>${this.describePatchChange(field, change, colors)}</small>
+          `).join('')}
         </div>
       `).join('');
-
-      confirmBtn.textContent = `Delete ${filteredEvents.length} Events`;
-      confirmBtn.disabled = filteredEvents.length === 0;
+      confirmBtn.textContent = `Apply to ${changed.length} Events`;
+      confirmBtn.disabled = changed.length === 0;
     };
+    
+    dialogElement.querySelectorAll('input, select').forEach(input => {
+      input.addEventListener(input.type === 'text' ? 'input' : 'change', updatePreview);
+    });
+    
+    return new Promise((resolve) => {
+      cancelBtn.addEventListener('click', () => {
+        this.closeDialog(dialogElement);
+        resolve(null);
+      });
+      
+      confirmBtn.addEventListener('click', () => {
+        this.closeDialog(dialogElement);
+        resolve(readOptions());
+      });
+      
+      updatePreview();
+      document.body.appendChild(dialogElement);
+      find.focus();
+    });
+  }
 
-    // Add event listeners for real-time filtering
-    titleFilter.addEventListener('input', updateFilteredEvents);
-    dateFrom.addEventListener('change', updateFilteredEvents);
-    dateTo.addEventListener('change', updateFilteredEvents);
+  describePatchChange(field, { before, after }, colors) {
+    const labels = {
+      summary: 'Title',
+      description: 'Description',
+      colorId: 'Color',
+      visibility: 'Visibility',
+      transparency: 'Show as',
+      reminders: 'Reminders'
+    };
+    const format = (value) => {
+      if (field === 'colorId') return value ? colors[value] : 'Calendar color';
+      if (field === 'transparency') return value === 'transparent' ? 'Free' : 'Busy';
+      if (field === 'reminders') {
+        if (!value || value.useDefault) return 'Calendar default';
+        return value.overrides?.length ? `${value.overrides.length} custom` : 'None';
+      }
+      // Long descriptions would swamp the preview
+      const text = String(value);
+      return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+    };
+    return `${labels[field]}: ${this.escapeHtml(format(before))} → ${this.escapeHtml(format(after))}`;
+  }
 
-    cancelBtn.addEventListener('click', () => {
-      this.closeDialog(dialogElement);
-      resolve(null);
+  /**
+   * Shows the outcome of a deletion pass with every failure listed. Resolves
+   * with 'retry', 'undo' or 'done'.
+   */
+  showDeletionResults(message, failed, { canUndo = false, title = 'Deletion Results' } = {}) {
+    const retryableCount = failed.filter(f => f.retryable).length;
+    const dialogElement = document.createElement('div');
+    dialogElement.innerHTML = `
+      <div class="extension-backdrop"></div>
+      <div class="extension-dialog" role="dialog" aria-modal="true">
+        <div class="extension-dialog-content">
+          <h2>${title}</h2>
+          <p>${this.escapeHtml(message)}</p>
+          ${failed.length > 0 ? `
+            <div class="extension-filter-hint">
+              ${retryableCount} of ${failed.length} failures look temporary and will probably succeed on a retry.
+            </div>
+            <div class="extension-event-list" id="failed-events">
+              ${failed.map(f => `
+                <div class="extension-event-item">
+                  <strong>${this.escapeHtml(f.title || 'Untitled Event')}</strong>
+                  <span class="extension-retry-badge ${f.retryable ? 'retryable' : ''}">${f.retryable ? 'Temporary' : 'Permanent'}</span>
+                  <br><small>${this.escapeHtml(f.error)}</small>
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+          <div class="extension-dialog-actions">
+            ${canUndo ? '<button class="extension-btn extension-btn-secondary" data-choice="undo">Undo</button>' : ''}
+            ${failed.length > 0 ? '<button class="extension-btn extension-btn-cancel" data-choice="retry">Retry failed</button>' : ''}
+            <button class="extension-btn extension-btn-confirm" data-choice="done">Done</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    return new Promise((resolve) => {
+      dialogElement.querySelectorAll('[data-choice]').forEach(button => {
+        button.addEventListener('click', () => {
+          this.closeDialog(dialogElement);
+          resolve(button.dataset.choice);
+        });
+      });
+      
+      document.body.appendChild(dialogElement);
     });
+  }
 
-    confirmBtn.addEventListener('click', async () => {
-      if (filteredEvents.length === 0) return;
-      
-      const finalConfirm = await this.showConfirm(
-        `Are you sure you want to delete ${filteredEvents.length} events? This action cannot be undone.`,
-        'Confirm Deletion'
-      );
-      
-      if (finalConfirm) {
-        this.closeDialog(dialogElement);
-        resolve({
-          eventIds: filteredEvents.map(e => e.id),
-          filters: {
-            titleKeyword: titleFilter.value,
-            fromDate: dateFrom.value,
-            toDate: dateTo.value
+  /**
+   * Shows a dry-run report. Resolves with 'delete' to run the deletion for
+   * real, or 'done'.
+   */
+  showDryRunReport({ wouldDelete, skipped }) {
+    const dialogElement = document.createElement('div');
+    dialogElement.innerHTML = `
+      <div class="extension-backdrop"></div>
+      <div class="extension-dialog" role="dialog" aria-modal="true">
+        <div class="extension-dialog-content">
+          <h2>Dry Run Report</h2>
+          <p>${wouldDelete.length} events would be deleted and ${skipped.length} would be skipped. Nothing has been changed.</p>
+          <div class="extension-event-list" id="dry-run-report">
+            ${wouldDelete.map(event => `
+              <div class="extension-event-item">
+                <strong>${this.escapeHtml(event.title || 'Untitled Event')}</strong>
+                <br><small>${this.escapeHtml(this.describePlannedAction(event))}</small>
+              </div>
+            `).join('')}
+            ${skipped.map(event => `
+              <div class="extension-event-item">
+                <strong>${this.escapeHtml(event.title || 'Untitled Event')}</strong>
+                <span class="extension-retry-badge">Skipped</span>
+                <br><small>${this.escapeHtml(event.reason)}</small>
+              </div>
+            `).join('')}
+          </div>
+          <div class="extension-dialog-actions">
+            <button class="extension-btn extension-btn-secondary" data-choice="download">Download report</button>
+            <button class="extension-btn extension-btn-cancel" data-choice="done">Close</button>
+            ${wouldDelete.length > 0 ? `<button class="extension-btn extension-btn-confirm" data-choice="delete">Delete ${wouldDelete.length} Events</button>` : ''}
+          </div>
+        </div>
+      </div>
+    `;
+    
+    return new Promise((resolve) => {
+      dialogElement.querySelectorAll('[data-choice]').forEach(button => {
+        button.addEventListener('click', () => {
+          if (button.dataset.choice === 'download') {
+            this.downloadFile(
+              this.buildDryRunCsv(wouldDelete, skipped),
+              `deletion-report-${new Date().toISOString().slice(0, 10)}.csv`,
+              'text/csv;charset=utf-8'
+            );
+            return;
           }
+          this.closeDialog(dialogElement);
+          resolve(button.dataset.choice);
         });
-      }
+      });
+      
+      document.body.appendChild(dialogElement);
     });
+  }
+
+  describePlannedAction(event) {
+    return event.operation === 'truncate'
+      ? `Series would end before ${new Date(event.truncateFrom).toLocaleDateString()}`
+      : 'Would be deleted';
+  }
 
-    // Initial update
-    updateFilteredEvents();
+  buildDryRunCsv(wouldDelete, skipped) {
+    const rows = [
+      ['Action', 'Title', 'Calendar', 'Event ID', 'Reason'],
+      ...wouldDelete.map(event => [
+        event.operation === 'truncate' ? `truncate from ${event.truncateFrom}` : 'delete',
+        event.title,
+        event.calendarId,
+        event.actualEventId,
+        ''
+      ]),
+      ...skipped.map(event => ['skip', event.title, event.calendarId, event.actualEventId, event.reason])
+    ];
+    return rows
+      .map(row => row.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\r\n');
   }
 
   showConfirm(message, title = 'Confirm') {
@@ -797,20 +2726,98 @@ class CustomDialogManager {
     });
   }
 
-  showProgress(message, progress) {
+  /**
+   * Asks for a line of text; resolves with the trimmed value, or null when
+   * cancelled.
+   */
+  showPrompt(message, defaultValue = '', title = 'Calendar Bulk Delete') {
+    return new Promise((resolve) => {
+      const dialog = this.createDialog({
+        type: 'confirm',
+        title,
+        message,
+        input: true,
+        confirmText: 'OK',
+        cancelText: 'Cancel'
+      });
+      
+      const input = dialog.querySelector('.extension-dialog-input');
+      const cancelBtn = dialog.querySelector('.extension-btn-cancel');
+      const confirmBtn = dialog.querySelector('.extension-btn-confirm');
+      input.value = defaultValue;
+      
+      const finish = (value) => {
+        this.closeDialog(dialog);
+        resolve(value);
+      };
+      
+      cancelBtn.addEventListener('click', () => finish(null));
+      confirmBtn.addEventListener('click', () => finish(input.value.trim()));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(input.value.trim());
+      });
+      
+      document.body.appendChild(dialog);
+      input.focus();
+      input.select();
+    });
+  }
+
+  /**
+   * Asks the user to pick one of `choices` (`{ value, label }`); resolves with
+   * the picked value, or null when cancelled.
+   */
+  showChoice(message, choices, title = 'Calendar Bulk Delete', confirmText = 'OK') {
+    return new Promise((resolve) => {
+      const dialog = this.createDialog({
+        type: 'confirm',
+        title,
+        message,
+        choices,
+        confirmText,
+        cancelText: 'Cancel'
+      });
+      
+      const select = dialog.querySelector('.extension-dialog-input');
+      const cancelBtn = dialog.querySelector('.extension-btn-cancel');
+      const confirmBtn = dialog.querySelector('.extension-btn-confirm');
+      
+      cancelBtn.addEventListener('click', () => {
+        this.closeDialog(dialog);
+        resolve(null);
+      });
+      
+      confirmBtn.addEventListener('click', () => {
+        this.closeDialog(dialog);
+        resolve(select.value);
+      });
+      
+      document.body.appendChild(dialog);
+      select.focus();
+    });
+  }
+
+  showProgress(message, progress, options = {}) {
     const dialogElement = document.createElement('div');
     dialogElement.innerHTML = `
       <div class="extension-backdrop"></div>
       <div class="extension-dialog" role="dialog" aria-modal="true">
         <div class="extension-dialog-content">
           <h2>Processing...</h2>
-          <p>${message}</p>
+          <p class="extension-progress-message">${message}</p>
           <div class="extension-progress">
             <div class="extension-progress-bar">
               <div class="extension-progress-fill" style="width: ${progress}%"></div>
             </div>
             <p id="progress-text">${progress}% complete</p>
+            <p id="progress-details" class="extension-progress-details"></p>
           </div>
+          ${options.controls ? `
+            <div class="extension-dialog-actions">
+              <button class="extension-btn extension-btn-cancel" data-action="cancel">Cancel</button>
+              <button class="extension-btn extension-btn-secondary extension-btn-pause" data-action="pause">Pause</button>
+            </div>
+          ` : ''}
         </div>
       </div>
     `;
@@ -819,12 +2826,75 @@ class CustomDialogManager {
     return dialogElement;
   }
 
-  updateProgress(dialog, percent) {
+  updateProgress(dialog, percent, details = null) {
     const fill = dialog.querySelector('.extension-progress-fill');
     const text = dialog.querySelector('#progress-text');
+    const message = dialog.querySelector('.extension-progress-message');
+    const detailsText = dialog.querySelector('#progress-details');
     
     if (fill) fill.style.width = `${percent}%`;
     if (text) text.textContent = `${percent}% complete`;
+    
+    if (details && message && detailsText) {
+      const processed = details.total - details.remaining;
+      message.textContent = {
+        backup: `Backing up events before deleting (${processed} of ${details.total})...`,
+        check: `Checking events (${processed} of ${details.total})...`,
+        move: `Moving events (${processed} of ${details.total})...`,
+        patch: `Updating events (${processed} of ${details.total})...`
+      }[details.phase] || `Deleting events (${processed} of ${details.total})...`;
+      
+      const parts = [];
+      if (details.phase === 'check') {
+        parts.push(`${details.done} to delete`, `${details.failed} skipped`, `${details.remaining} remaining`);
+      } else if (details.phase === 'move') {
+        parts.push(`${details.done} moved`, `${details.failed} failed`, `${details.remaining} remaining`);
+      } else if (details.phase === 'patch') {
+        parts.push(`${details.done} updated`, `${details.failed} failed`, `${details.remaining} remaining`);
+      } else if (details.phase !== 'backup') {
+        parts.push(`${details.done} deleted`, `${details.failed} failed`, `${details.remaining} remaining`);
+      }
+      if (details.etaMs !== null && details.etaMs !== undefined) {
+        parts.push(`about ${this.formatDuration(details.etaMs)} left`);
+      }
+      detailsText.textContent = parts.join(' · ');
+      if (details.currentTitle) {
+        detailsText.textContent += `\nCurrent: ${details.currentTitle}`;
+      }
+    }
+  }
+
+  onProgressAction(dialog, handler) {
+    dialog.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => handler(button.dataset.action));
+    });
+  }
+
+  setProgressState(dialog, state) {
+    const pauseBtn = dialog.querySelector('.extension-btn-pause');
+    const cancelBtn = dialog.querySelector('[data-action="cancel"]');
+    const message = dialog.querySelector('.extension-progress-message');
+    if (!pauseBtn || !cancelBtn) return;
+    
+    const paused = state === 'paused';
+    pauseBtn.dataset.action = paused ? 'resume' : 'pause';
+    pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    pauseBtn.disabled = state === 'stopping';
+    cancelBtn.disabled = state === 'stopping';
+    
+    if (message && state === 'stopping') {
+      message.textContent = 'Finishing the current batch...';
+    } else if (message && paused) {
+      message.textContent = 'Paused. Nothing else will change until you resume.';
+    }
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.max(1, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
   }
 
   createDialog(options) {
@@ -835,6 +2905,12 @@ class CustomDialogManager {
         <div class="extension-dialog-content">
           <h2>${options.title}</h2>
           <p>${options.message}</p>
+          ${options.input ? '<input type="text" class="extension-filter-input extension-dialog-input">' : ''}
+          ${options.choices ? `
+            <select class="extension-filter-input extension-dialog-input">
+              ${options.choices.map(choice => `<option value="${this.escapeHtml(choice.value)}">${this.escapeHtml(choice.label)}</option>`).join('')}
+            </select>
+          ` : ''}
           <div class="extension-dialog-actions">
             ${options.type === 'confirm' ? 
               `<button class="extension-btn extension-btn-cancel">${options.cancelText}</button>` : 
@@ -849,6 +2925,18 @@ class CustomDialogManager {
     return dialogElement;
   }
 
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
   closeDialog(dialog) {
     if (dialog && dialog.parentNode) {
       dialog.parentNode.removeChild(dialog);
@@ -885,3 +2973,8 @@ if (document.readyState === 'loading') {
 } else {
   new CalendarExtension();
 }
+
+// Expose classes to the Jest suite; `module` does not exist in the extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CalendarExtension, CustomDialogManager };
+}
@@ -0,0 +1,132 @@
+/**
+ * Calendar Bulk Delete - Duplicate detection
+ * Groups loaded events into clusters of copies so all but one can be removed
+ */
+
+class DuplicateFinder {
+  /**
+   * Returns clusters of two or more events that look like copies of each
+   * other. Events only cluster within the same calendar, so an invite that
+   * appears in several calendars is never treated as a duplicate. Two events
+   * are linked when they share an iCalUID and start, have the same title,
+   * start and end, or (with `toleranceMinutes`) the same title with start and
+   * end times within the tolerance.
+   *
+   * Each cluster is `{ events, keepId, reason }`; `keepId` is the suggested
+   * copy to keep.
+   */
+  find(events, { toleranceMinutes = 0 } = {}) {
+    const parent = events.map((event, index) => index);
+    const findRoot = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const union = (a, b) => {
+      parent[findRoot(a)] = findRoot(b);
+    };
+
+    const linkByKey = (keyOf) => {
+      const firstByKey = new Map();
+      events.forEach((event, index) => {
+        const key = keyOf(event);
+        if (key === null) return;
+        if (firstByKey.has(key)) {
+          union(index, firstByKey.get(key));
+        } else {
+          firstByKey.set(key, index);
+        }
+      });
+    };
+
+    linkByKey(event => (event.iCalUID ? [event.calendarId, event.iCalUID, this.toTime(event.startTime)].join('|') : null));
+    linkByKey(event => (this.toTime(event.startTime) === null
+      ? null
+      : [event.calendarId, this.normalizeTitle(event.title), this.toTime(event.startTime), this.toTime(event.endTime)].join('|')));
+
+    if (toleranceMinutes > 0) {
+      this.linkNearDuplicates(events, toleranceMinutes * 60000, union);
+    }
+
+    const clusters = new Map();
+    events.forEach((event, index) => {
+      const root = findRoot(index);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(event);
+    });
+
+    return [...clusters.values()]
+      .filter(members => members.length > 1)
+      .map(members => ({
+        events: members,
+        keepId: this.pickKeeper(members).id,
+        reason: this.describeCluster(members)
+      }))
+      .sort((a, b) => (this.toTime(a.events[0].startTime) || 0) - (this.toTime(b.events[0].startTime) || 0));
+  }
+
+  linkNearDuplicates(events, toleranceMs, union) {
+    const byTitle = new Map();
+    events.forEach((event, index) => {
+      if (this.toTime(event.startTime) === null) return;
+      const key = `${event.calendarId}|${this.normalizeTitle(event.title)}`;
+      if (!byTitle.has(key)) byTitle.set(key, []);
+      byTitle.get(key).push(index);
+    });
+
+    byTitle.forEach((indexes) => {
+      const sorted = indexes.sort((a, b) => this.toTime(events[a].startTime) - this.toTime(events[b].startTime));
+      for (let i = 1; i < sorted.length; i++) {
+        const previous = events[sorted[i - 1]];
+        const current = events[sorted[i]];
+        const startGap = this.toTime(current.startTime) - this.toTime(previous.startTime);
+        const endGap = Math.abs((this.toTime(current.endTime) ?? 0) - (this.toTime(previous.endTime) ?? 0));
+        if (startGap <= toleranceMs && endGap <= toleranceMs) {
+          union(sorted[i], sorted[i - 1]);
+        }
+      }
+    });
+  }
+
+  /**
+   * Keeps a copy we could not delete anyway if there is one, otherwise the
+   * oldest copy, which is usually the original.
+   */
+  pickKeeper(members) {
+    const readOnly = members.find(event => !event.canDelete);
+    if (readOnly) return readOnly;
+
+    return [...members].sort((a, b) => (
+      (this.toTime(a.created) ?? Infinity) - (this.toTime(b.created) ?? Infinity)
+    ))[0];
+  }
+
+  describeCluster(members) {
+    const first = members[0];
+    if (first.iCalUID && members.every(event => event.iCalUID === first.iCalUID)) {
+      return 'Same iCalUID';
+    }
+    const sameTimes = members.every(event => (
+      this.toTime(event.startTime) === this.toTime(first.startTime) &&
+      this.toTime(event.endTime) === this.toTime(first.endTime)
+    ));
+    return sameTimes ? 'Identical title and times' : 'Same title at nearly the same time';
+  }
+
+  normalizeTitle(title) {
+    return (title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  toTime(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+}
+
+// Expose classes to the Jest suite; `module` does not exist in the extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DuplicateFinder };
+}
@@ -0,0 +1,498 @@
+/**
+ * Calendar Bulk Delete - iCalendar (RFC 5545) support
+ * Serializes Google Calendar API event resources to .ics files, parses
+ * .ics files, and matches their events against calendar events
+ */
+
+class ZonedTime {
+  static getZonedParts(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    return Object.fromEntries(
+      formatter.formatToParts(date)
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)])
+    );
+  }
+
+  static getOffsetMinutes(timeZone, date) {
+    const parts = ZonedTime.getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Converts a wall-clock time in `timeZone` to the instant it denotes.
+   */
+  static toInstant(year, month, day, hour, minute, second, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    let instant = wallClock - ZonedTime.getOffsetMinutes(timeZone, new Date(wallClock)) * 60000;
+    // A second pass settles times close to a DST change
+    instant = wallClock - ZonedTime.getOffsetMinutes(timeZone, new Date(instant)) * 60000;
+    return new Date(instant);
+  }
+}
+
+class IcsWriter {
+  constructor() {
+    this.prodId = '-//Tesseras//Calendar Bulk Delete//EN';
+  }
+
+  /**
+   * @param {Array<{calendarId: string, resource: object}>} entries - API event resources
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  build(entries) {
+    const resources = entries.map(entry => entry.resource);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.prodId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+
+    this.collectTimeZones(resources).forEach((years, timeZone) => {
+      lines.push(...this.buildTimeZone(timeZone, years));
+    });
+
+    resources.forEach(resource => {
+      lines.push(...this.buildEvent(resource));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  buildEvent(resource) {
+    const lines = ['BEGIN:VEVENT'];
+    const stamp = this.formatUtc(new Date());
+
+    lines.push(`UID:${resource.iCalUID || resource.id}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(this.formatDateProperty('DTSTART', resource.start));
+    if (resource.end) {
+      lines.push(this.formatDateProperty('DTEND', resource.end));
+    }
+    if (resource.originalStartTime) {
+      lines.push(this.formatDateProperty('RECURRENCE-ID', resource.originalStartTime));
+    }
+
+    // Google already stores RRULE, EXDATE and RDATE lines in iCalendar syntax
+    (resource.recurrence || []).forEach(rule => lines.push(rule));
+
+    lines.push(`SUMMARY:${this.escapeText(resource.summary || '')}`);
+    if (resource.description) lines.push(`DESCRIPTION:${this.escapeText(resource.description)}`);
+    if (resource.location) lines.push(`LOCATION:${this.escapeText(resource.location)}`);
+    if (resource.status) lines.push(`STATUS:${resource.status.toUpperCase()}`);
+    if (resource.transparency) lines.push(`TRANSP:${resource.transparency === 'transparent' ? 'TRANSPARENT' : 'OPAQUE'}`);
+    if (resource.visibility && resource.visibility !== 'default') {
+      lines.push(`CLASS:${resource.visibility === 'public' ? 'PUBLIC' : resource.visibility.toUpperCase()}`);
+    }
+    if (resource.sequence !== undefined) lines.push(`SEQUENCE:${resource.sequence}`);
+    if (resource.created) lines.push(`CREATED:${this.formatUtc(new Date(resource.created))}`);
+    if (resource.updated) lines.push(`LAST-MODIFIED:${this.formatUtc(new Date(resource.updated))}`);
+
+    if (resource.organizer?.email) {
+      lines.push(`ORGANIZER${this.formatCommonName(resource.organizer)}:mailto:${resource.organizer.email}`);
+    }
+
+    (resource.attendees || []).forEach(attendee => {
+      if (!attendee.email) return;
+      const params = [
+        this.formatCommonName(attendee),
+        `;ROLE=${attendee.optional ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT'}`,
+        `;PARTSTAT=${this.formatPartStat(attendee.responseStatus)}`,
+        attendee.resource ? ';CUTYPE=RESOURCE' : ''
+      ].join('');
+      lines.push(`ATTENDEE${params}:mailto:${attendee.email}`);
+    });
+
+    (resource.reminders?.overrides || []).forEach(reminder => {
+      lines.push(
+        'BEGIN:VALARM',
+        `ACTION:${reminder.method === 'email' ? 'EMAIL' : 'DISPLAY'}`,
+        `DESCRIPTION:${this.escapeText(resource.summary || 'Reminder')}`,
+        `TRIGGER:-PT${reminder.minutes}M`,
+        'END:VALARM'
+      );
+    });
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  formatDateProperty(name, value) {
+    if (value.date) {
+      return `${name};VALUE=DATE:${value.date.replace(/-/g, '')}`;
+    }
+
+    const date = new Date(value.dateTime);
+    if (value.timeZone) {
+      return `${name};TZID=${value.timeZone}:${this.formatLocal(date, value.timeZone)}`;
+    }
+    return `${name}:${this.formatUtc(date)}`;
+  }
+
+  formatCommonName(person) {
+    return person.displayName ? `;CN="${person.displayName.replace(/"/g, '\'')}"` : '';
+  }
+
+  formatPartStat(responseStatus) {
+    const partStats = {
+      accepted: 'ACCEPTED',
+      declined: 'DECLINED',
+      tentative: 'TENTATIVE',
+      needsAction: 'NEEDS-ACTION'
+    };
+    return partStats[responseStatus] || 'NEEDS-ACTION';
+  }
+
+  collectTimeZones(resources) {
+    const timeZones = new Map();
+
+    resources.forEach(resource => {
+      [resource.start, resource.end, resource.originalStartTime].forEach(value => {
+        if (!value?.timeZone || !value.dateTime) return;
+
+        const year = new Date(value.dateTime).getUTCFullYear();
+        const years = timeZones.get(value.timeZone) || new Set();
+        years.add(year);
+        // Open-ended series keep running past their first occurrence
+        if (resource.recurrence) years.add(year + 1);
+        timeZones.set(value.timeZone, years);
+      });
+    });
+
+    return timeZones;
+  }
+
+  /**
+   * Builds a VTIMEZONE from the offsets the browser's tz database reports
+   * for the years the exported events actually use.
+   */
+  buildTimeZone(timeZone, years) {
+    const sortedYears = [...years].sort((a, b) => a - b);
+    const firstYear = sortedYears[0];
+    const lastYear = Math.min(sortedYears[sortedYears.length - 1], firstYear + 10);
+
+    const transitions = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+      transitions.push(...this.findTransitions(timeZone, year));
+    }
+
+    const offsets = transitions.map(t => t.offsetTo);
+    const initialOffset = ZonedTime.getOffsetMinutes(timeZone, new Date(Date.UTC(firstYear, 0, 1)));
+    const standardOffset = Math.min(initialOffset, ...offsets);
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const pushObservance = (start, offsetFrom, offsetTo) => {
+      const type = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+      lines.push(
+        `BEGIN:${type}`,
+        `DTSTART:${start}`,
+        `TZOFFSETFROM:${this.formatOffset(offsetFrom)}`,
+        `TZOFFSETTO:${this.formatOffset(offsetTo)}`,
+        `END:${type}`
+      );
+    };
+
+    pushObservance('19700101T000000', initialOffset, initialOffset);
+    transitions.forEach(transition => {
+      const localStart = new Date(transition.at.getTime() + transition.offsetFrom * 60000);
+      pushObservance(this.formatUtc(localStart).slice(0, -1), transition.offsetFrom, transition.offsetTo);
+    });
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  findTransitions(timeZone, year) {
+    const transitions = [];
+    const dayMs = 24 * 60 * 60 * 1000;
+    let previous = new Date(Date.UTC(year, 0, 1));
+    let previousOffset = ZonedTime.getOffsetMinutes(timeZone, previous);
+
+    for (let time = previous.getTime() + dayMs; time <= Date.UTC(year + 1, 0, 1); time += dayMs) {
+      const current = new Date(time);
+      const offset = ZonedTime.getOffsetMinutes(timeZone, current);
+
+      if (offset !== previousOffset) {
+        // Narrow the change down to the minute
+        let low = previous.getTime();
+        let high = time;
+        while (high - low > 60000) {
+          const mid = low + Math.floor((high - low) / 120000) * 60000;
+          if (ZonedTime.getOffsetMinutes(timeZone, new Date(mid)) === previousOffset) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+        transitions.push({ at: new Date(high), offsetFrom: previousOffset, offsetTo: offset });
+      }
+
+      previous = current;
+      previousOffset = offset;
+    }
+
+    return transitions;
+  }
+
+  formatLocal(date, timeZone) {
+    const p = ZonedTime.getZonedParts(date, timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+  }
+
+  formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+  }
+
+  escapeText(text) {
+    return text
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Folds content lines longer than 75 octets (RFC 5545 §3.1),
+   * never splitting a multi-byte character.
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const char of line) {
+      const charBytes = encoder.encode(char).length;
+      if (currentBytes + charBytes > limit) {
+        chunks.push(current);
+        current = '';
+        currentBytes = 0;
+        limit = 74; // continuation lines start with a space
+      }
+      current += char;
+      currentBytes += charBytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+  }
+}
+
+class IcsParser {
+  /**
+   * @param {string} text - iCalendar file contents
+   * @returns {Array<{uid: string|null, summary: string, start: object|null, recurrenceId: object|null, recurring: boolean}>}
+   */
+  parse(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+    let nestedDepth = 0;
+
+    lines.forEach(rawLine => {
+      if (!rawLine.trim()) return;
+      const { name, params, value } = this.parseLine(rawLine);
+
+      if (name === 'BEGIN' && value === 'VEVENT') {
+        current = { uid: null, summary: '', start: null, end: null, recurrenceId: null, recurring: false };
+        nestedDepth = 0;
+      } else if (!current) {
+        return;
+      } else if (name === 'BEGIN') {
+        nestedDepth++; // VALARM and friends
+      } else if (name === 'END' && value !== 'VEVENT') {
+        nestedDepth--;
+      } else if (name === 'END') {
+        events.push(current);
+        current = null;
+      } else if (nestedDepth === 0) {
+        this.applyProperty(current, name, params, value);
+      }
+    });
+
+    return events;
+  }
+
+  applyProperty(event, name, params, value) {
+    switch (name) {
+      case 'UID':
+        event.uid = value.trim();
+        break;
+      case 'SUMMARY':
+        event.summary = this.unescapeText(value);
+        break;
+      case 'DTSTART':
+        event.start = this.parseDateValue(value, params);
+        break;
+      case 'DTEND':
+        event.end = this.parseDateValue(value, params);
+        break;
+      case 'RECURRENCE-ID':
+        event.recurrenceId = this.parseDateValue(value, params);
+        break;
+      case 'RRULE':
+      case 'RDATE':
+        event.recurring = true;
+        break;
+    }
+  }
+
+  parseLine(line) {
+    // The value starts at the first colon outside a quoted parameter value
+    let inQuotes = false;
+    let splitAt = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        splitAt = i;
+        break;
+      }
+    }
+
+    const head = splitAt === -1 ? line : line.slice(0, splitAt);
+    const value = splitAt === -1 ? '' : line.slice(splitAt + 1);
+    const [name, ...paramParts] = head.split(';');
+    const params = {};
+    paramParts.forEach(part => {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value };
+  }
+
+  /**
+   * @returns {{date: string}|{dateTime: string}|null} shaped like the Calendar API's start/end
+   */
+  parseDateValue(value, params) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (params.VALUE === 'DATE' || hour === undefined) {
+      return { date: `${year}-${month}-${day}` };
+    }
+
+    const parts = [year, month, day, hour, minute, second].map(Number);
+    if (utc) {
+      return { dateTime: new Date(Date.UTC(parts[0], parts[1] - 1, ...parts.slice(2))).toISOString() };
+    }
+
+    if (params.TZID) {
+      try {
+        return { dateTime: ZonedTime.toInstant(...parts, params.TZID).toISOString() };
+      } catch (error) {
+        // Non-IANA TZIDs (e.g. Windows zone names) are read as floating times
+      }
+    }
+
+    return { dateTime: new Date(parts[0], parts[1] - 1, ...parts.slice(2)).toISOString() };
+  }
+
+  unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+  }
+}
+
+class IcsMatcher {
+  /**
+   * Pairs calendar events with VEVENTs from an .ics file, first by iCalUID
+   * and then by title and start time for events without a usable UID.
+   *
+   * @param {Array} importedEvents - output of IcsParser.parse
+   * @param {Array} calendarEvents - extension event models
+   * @returns {{matches: Array, unmatched: Array}}
+   */
+  match(importedEvents, calendarEvents) {
+    const byUid = new Map();
+    const byTitleAndStart = new Map();
+
+    calendarEvents.forEach(event => {
+      if (event.iCalUID) {
+        const list = byUid.get(event.iCalUID) || [];
+        list.push(event);
+        byUid.set(event.iCalUID, list);
+      }
+      const key = this.titleStartKey(event.title, event.startTime);
+      if (key) {
+        const list = byTitleAndStart.get(key) || [];
+        list.push(event);
+        byTitleAndStart.set(key, list);
+      }
+    });
+
+    const matched = new Map();
+    const unmatched = [];
+
+    importedEvents.forEach(imported => {
+      let candidates = byUid.get(imported.uid) || [];
+
+      // An overridden instance only matches the occurrence it overrides
+      if (imported.recurrenceId && candidates.length > 0) {
+        const instanceStart = this.toComparable(this.startValue(imported.recurrenceId));
+        candidates = candidates.filter(event => this.toComparable(event.startTime) === instanceStart);
+      }
+
+      if (candidates.length === 0) {
+        const key = this.titleStartKey(imported.summary, this.startValue(imported.start));
+        candidates = (key && byTitleAndStart.get(key)) || [];
+      }
+
+      if (candidates.length === 0) {
+        unmatched.push(imported);
+      }
+      candidates.forEach(event => matched.set(event.id, event));
+    });
+
+    return { matches: [...matched.values()], unmatched };
+  }
+
+  titleStartKey(title, start) {
+    const comparableStart = this.toComparable(start);
+    if (!title || comparableStart === null) return null;
+    return `${title.trim().toLowerCase()}|${comparableStart}`;
+  }
+
+  startValue(value) {
+    if (!value) return null;
+    return value.date || value.dateTime;
+  }
+
+  toComparable(start) {
+    if (!start) return null;
+    // All-day dates compare as plain strings, timed values as instants
+    if (/^\d{4}-\d{2}-\d{2}$/.test(start)) return start;
+    const time = new Date(start).getTime();
+    return Number.isNaN(time) ? null : String(time);
+  }
+}
+
+// Expose classes to the Jest suite; `module` does not exist in the extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IcsWriter, IcsParser, IcsMatcher, ZonedTime };
+}
@@ -0,0 +1,91 @@
+/**
+ * Calendar Bulk Delete - Options Page
+ * Edits the settings the background and content scripts read
+ */
+
+/* global SettingsStore */
+
+class OptionsPage {
+  constructor() {
+    this.store = new SettingsStore();
+    this.form = document.getElementById('settings-form');
+    this.status = document.getElementById('status');
+    this.init();
+  }
+
+  async init() {
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    document.getElementById('reset-btn').addEventListener('click', () => this.reset());
+
+    try {
+      this.render(await this.store.load());
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to load settings:', error);
+      this.showStatus('Could not load the saved settings: ' + error.message, true);
+    }
+  }
+
+  render(settings) {
+    const { elements } = this.form;
+    elements.confirmDeletions.checked = settings.confirmDeletions;
+    elements.autoBackup.checked = settings.autoBackup;
+    elements.batchSize.value = settings.batchSize;
+    elements.defaultView.value = settings.defaultView;
+    this.showErrors({});
+  }
+
+  readForm() {
+    const { elements } = this.form;
+    return {
+      confirmDeletions: elements.confirmDeletions.checked,
+      autoBackup: elements.autoBackup.checked,
+      batchSize: elements.batchSize.value === '' ? NaN : Number(elements.batchSize.value),
+      defaultView: elements.defaultView.value
+    };
+  }
+
+  showErrors(errors) {
+    this.form.querySelectorAll('[data-error-for]').forEach(element => {
+      element.textContent = errors[element.dataset.errorFor] || '';
+    });
+  }
+
+  showStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.style.color = isError ? '#d93025' : '';
+  }
+
+  async save() {
+    try {
+      this.render(await this.store.save(this.readForm()));
+      this.showStatus('Settings saved.');
+    } catch (error) {
+      if (error.fields) {
+        this.showErrors(error.fields);
+      } else {
+        // eslint-disable-next-line no-console
+        console.error('Failed to save settings:', error);
+      }
+      this.showStatus(error.message, true);
+    }
+  }
+
+  async reset() {
+    try {
+      this.render(await this.store.reset());
+      this.showStatus('Settings reset to their defaults.');
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to reset settings:', error);
+      this.showStatus('Could not reset the settings: ' + error.message, true);
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsPage();
+});
@@ -0,0 +1,132 @@
+/**
+ * Calendar Bulk Delete - Bulk edits
+ * Turns the options of the bulk edit dialog into a Calendar API patch body
+ * per event. The dialog preview and the background job both use it, so the
+ * preview shows exactly what gets sent.
+ *
+ * Options:
+ *   find, replace   regular expression and replacement ($1 etc. work) applied
+ *                   to every match in the `fields` (summary, description)
+ *   matchCase       case-sensitive matching (off by default)
+ *   colorId         event color "1" to "11"
+ *   visibility      default, public, private or confidential
+ *   transparency    opaque (busy) or transparent (free)
+ *   clearReminders  remove every reminder, including the calendar default
+ */
+
+class EventPatch {
+  constructor({
+    find = '',
+    replace = '',
+    fields = ['summary'],
+    matchCase = false,
+    colorId = '',
+    visibility = '',
+    transparency = '',
+    clearReminders = false
+  } = {}) {
+    // API field -> property of the events the dialog works with
+    this.textFields = { summary: 'title', description: 'description' };
+    // Google Calendar's event colors by colorId
+    this.colors = {
+      1: 'Lavender',
+      2: 'Sage',
+      3: 'Grape',
+      4: 'Flamingo',
+      5: 'Banana',
+      6: 'Tangerine',
+      7: 'Peacock',
+      8: 'Graphite',
+      9: 'Blueberry',
+      10: 'Basil',
+      11: 'Tomato'
+    };
+    this.visibilities = ['default', 'public', 'private', 'confidential'];
+    this.transparencies = ['opaque', 'transparent'];
+
+    this.find = find;
+    this.replace = replace;
+    this.fields = fields.filter(field => field in this.textFields);
+    this.matchCase = matchCase;
+    this.colorId = colorId;
+    this.visibility = visibility;
+    this.transparency = transparency;
+    this.clearReminders = clearReminders;
+
+    if (find) {
+      try {
+        this.pattern = new RegExp(find, matchCase ? 'g' : 'gi');
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+      if (this.fields.length === 0) {
+        throw new Error('Choose where to find and replace (title or description).');
+      }
+    } else {
+      this.pattern = null;
+    }
+    if (colorId && !(colorId in this.colors)) {
+      throw new Error(`Unknown event color: ${colorId}`);
+    }
+    if (visibility && !this.visibilities.includes(visibility)) {
+      throw new Error(`Unknown visibility: ${visibility}`);
+    }
+    if (transparency && !this.transparencies.includes(transparency)) {
+      throw new Error(`Unknown availability: ${transparency}`);
+    }
+  }
+
+  isEmpty() {
+    return !this.pattern && !this.colorId && !this.visibility && !this.transparency && !this.clearReminders;
+  }
+
+  /**
+   * The patch for one event as `{ body, changes }`: `body` is the API patch
+   * (null when the event already looks like the result) and `changes` maps
+   * each changed field to its `{ before, after }` for the preview. Fields the
+   * page never loaded (such as the description of an event read from the
+   * calendar grid) are left alone rather than overwritten.
+   */
+  apply(event) {
+    const changes = {};
+
+    if (this.pattern) {
+      this.fields.forEach((field) => {
+        const before = event[this.textFields[field]];
+        if (typeof before !== 'string') return;
+        const after = before.replace(this.pattern, this.replace);
+        if (after !== before) {
+          changes[field] = { before, after };
+        }
+      });
+    }
+
+    if (this.colorId && event.colorId !== this.colorId) {
+      changes.colorId = { before: event.colorId || null, after: this.colorId };
+    }
+    if (this.visibility && (event.visibility || 'default') !== this.visibility) {
+      changes.visibility = { before: event.visibility || 'default', after: this.visibility };
+    }
+    if (this.transparency && (event.transparency || 'opaque') !== this.transparency) {
+      changes.transparency = { before: event.transparency || 'opaque', after: this.transparency };
+    }
+    if (this.clearReminders && !this.hasNoReminders(event.reminders)) {
+      changes.reminders = { before: event.reminders || null, after: { useDefault: false, overrides: [] } };
+    }
+
+    const entries = Object.entries(changes);
+    return {
+      body: entries.length > 0 ? Object.fromEntries(entries.map(([field, change]) => [field, change.after])) : null,
+      changes
+    };
+  }
+
+  hasNoReminders(reminders) {
+    return Boolean(reminders) && reminders.useDefault === false && !(reminders.overrides || []).length;
+  }
+}
+
+// Expose classes to the Jest suite; `module` does not exist in the extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EventPatch };
+}
@@ -8,6 +8,11 @@ class PopupManager {
     this.isAuthenticated = false;
     this.currentTab = null;
     this.eventStats = { count: 0, lastUpdate: null };
+    this.backups = [];
+    this.jobs = [];
+    this.rules = [];
+    this.audit = { entries: [], total: 0 };
+    this.auditSearch = '';
     this.init();
   }
 
@@ -40,6 +45,32 @@ class PopupManager {
     document.getElementById('refresh-btn').addEventListener('click', () => this.refreshData());
     document.getElementById('settings-btn').addEventListener('click', () => this.openSettings());
 
+    // Cleanup rules
+    const ruleForm = document.getElementById('rule-form');
+    ruleForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveRule(ruleForm);
+    });
+    ruleForm.elements.frequency.addEventListener('change', () => {
+      ruleForm.elements.dayOfWeek.disabled = ruleForm.elements.frequency.value !== 'weekly';
+    });
+    document.getElementById('rule-form-wrapper').addEventListener('toggle', (e) => {
+      if (e.target.open) this.loadRuleCalendars(ruleForm.elements.calendarId);
+    });
+
+    // Deletion history
+    let searchTimer = null;
+    document.getElementById('audit-search').addEventListener('input', (e) => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(async () => {
+        this.auditSearch = e.target.value;
+        await this.loadAuditLog();
+        this.renderAuditLog();
+      }, 200);
+    });
+    document.getElementById('audit-export-csv').addEventListener('click', () => this.exportAuditLog('csv'));
+    document.getElementById('audit-export-json').addEventListener('click', () => this.exportAuditLog('json'));
+
     // Footer links
     document.getElementById('help-link').addEventListener('click', (e) => {
       e.preventDefault();
@@ -66,6 +97,10 @@ class PopupManager {
       
       if (this.isAuthenticated) {
         await this.loadEventStats();
+        await this.loadJobs();
+        await this.loadRules();
+        await this.loadBackups();
+        await this.loadAuditLog();
       }
     } catch (error) {
       // eslint-disable-next-line no-console
@@ -86,6 +121,10 @@ class PopupManager {
         this.isAuthenticated = true;
         this.showAlert('Successfully authenticated with Google Calendar!', 'success');
         await this.loadEventStats();
+        await this.loadJobs();
+        await this.loadRules();
+        await this.loadBackups();
+        await this.loadAuditLog();
       } else {
         this.showAlert('Authentication failed: ' + response.error, 'error');
       }
@@ -125,23 +164,491 @@ class PopupManager {
   async loadEventStats() {
     if (!this.isAuthenticated) return;
     
+    try {
+      const { selectedCalendarIds } = await chrome.storage.local.get('selectedCalendarIds');
+      const calendarIds = selectedCalendarIds?.length > 0 ? selectedCalendarIds : ['primary'];
+      // Every page is fetched now, so keep the stats to the coming week
+      const timeMin = new Date();
+      const timeMax = new Date(timeMin.getTime() + 7 * 24 * 60 * 60 * 1000);
+      let count = 0;
+      
+      for (const calendarId of calendarIds) {
+        const response = await chrome.runtime.sendMessage({
+          action: 'GET_CALENDAR_EVENTS',
+          calendarId,
+          filters: { timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString() }
+        });
+        
+        if (response.success) {
+          count += response.total;
+        }
+      }
+      
+      this.eventStats = {
+        count,
+        lastUpdate: new Date().toLocaleTimeString()
+      };
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to load event stats:', error);
+    }
+  }
+
+  async loadJobs() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'LIST_JOBS' });
+      if (response.success) {
+        this.jobs = response.jobs;
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to load jobs:', error);
+    }
+  }
+
+  renderJobs() {
+    const jobsSection = document.getElementById('jobs-section');
+    const jobList = document.getElementById('job-list');
+    jobList.innerHTML = '';
+    jobsSection.style.display = this.jobs.length > 0 ? 'block' : 'none';
+
+    this.jobs.forEach(job => {
+      const item = document.createElement('div');
+      item.className = 'backup-item';
+
+      const desc = document.createElement('div');
+      desc.className = 'action-desc';
+
+      const title = document.createElement('div');
+      title.className = 'action-title';
+      title.textContent = `${this.describeJobType(job)}: ${job.processed} of ${job.total} events processed`;
+
+      const subtitle = document.createElement('div');
+      subtitle.className = 'action-subtitle';
+      const state = job.running ? 'Running' : (job.state === 'paused' ? 'Paused' : 'Interrupted');
+      subtitle.textContent = `${state} · ${job.failed} failed · started ${new Date(job.createdAt).toLocaleString()}`;
+
+      desc.appendChild(title);
+      desc.appendChild(subtitle);
+      item.appendChild(desc);
+
+      const buttons = document.createElement('div');
+      if (!job.running) {
+        const continueBtn = document.createElement('button');
+        continueBtn.className = 'btn btn-secondary small-btn';
+        continueBtn.textContent = 'Continue';
+        continueBtn.addEventListener('click', () => this.updateJob('RESUME_JOB', job, continueBtn));
+        buttons.appendChild(continueBtn);
+      }
+
+      const discardBtn = document.createElement('button');
+      discardBtn.className = 'btn btn-secondary small-btn';
+      discardBtn.textContent = 'Discard';
+      discardBtn.addEventListener('click', () => this.updateJob('CANCEL_JOB', job, discardBtn));
+      buttons.appendChild(discardBtn);
+
+      item.appendChild(buttons);
+      jobList.appendChild(item);
+    });
+  }
+
+  describeJobType(job) {
+    return { move: 'Move', patch: 'Edit' }[job.type] || 'Deletion';
+  }
+
+  async updateJob(action, job, button) {
+    button.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action, jobId: job.id });
+
+      if (response.success) {
+        const kind = this.describeJobType(job);
+        this.showAlert(`${kind} ${action === 'RESUME_JOB' ? 'resumed' : 'discarded'}`, 'success');
+      } else {
+        this.showAlert('Could not update the job: ' + response.error, 'error');
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Job update error:', error);
+      this.showAlert('Job update error: ' + error.message, 'error');
+    }
+
+    await this.loadJobs();
+    this.updateUI();
+  }
+
+  async loadRules() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'LIST_RULES' });
+      if (response.success) {
+        this.rules = response.rules;
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to load rules:', error);
+    }
+  }
+
+  async loadRuleCalendars(select) {
+    if (select.options.length > 0) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'LIST_CALENDARS' });
+      if (!response.success) {
+        this.showAlert('Could not load calendars: ' + response.error, 'error');
+        return;
+      }
+      response.calendars
+        .filter(calendar => ['owner', 'writer'].includes(calendar.accessRole))
+        .forEach(calendar => {
+          const option = document.createElement('option');
+          option.value = calendar.id;
+          option.textContent = calendar.summary;
+          select.appendChild(option);
+        });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to load calendars:', error);
+    }
+  }
+
+  describeSchedule(rule) {
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const when = rule.schedule.frequency === 'weekly'
+      ? `Every ${days[rule.schedule.dayOfWeek]} at ${rule.schedule.time}`
+      : `Daily at ${rule.schedule.time}`;
+    return `${when} · ${rule.calendarName} · older than ${rule.olderThanDays} days · max ${rule.maxDeletions}`;
+  }
+
+  describeRun(run) {
+    const ranAt = new Date(run.ranAt).toLocaleString();
+    switch (run.status) {
+      case 'success':
+        return `${ranAt}: deleted ${run.deleted} of ${run.matched} matches`;
+      case 'partial':
+        return `${ranAt}: deleted ${run.deleted}, ${run.failed} failed (${run.error})`;
+      case 'capped':
+      case 'failed':
+        return `${ranAt}: ${run.error}`;
+      default:
+        return `${ranAt}: ${run.status}`;
+    }
+  }
+
+  renderRules() {
+    const ruleList = document.getElementById('rule-list');
+    ruleList.innerHTML = '';
+
+    if (this.rules.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'backup-empty';
+      empty.textContent = 'No cleanup rules yet.';
+      ruleList.appendChild(empty);
+      return;
+    }
+
+    this.rules.forEach(rule => {
+      const item = document.createElement('div');
+      item.className = 'backup-item';
+
+      const desc = document.createElement('div');
+      desc.className = 'action-desc';
+
+      const title = document.createElement('div');
+      title.className = 'action-title';
+      title.textContent = `${rule.name}${rule.enabled ? '' : ' (paused)'}`;
+
+      const subtitle = document.createElement('div');
+      subtitle.className = 'action-subtitle';
+      subtitle.textContent = `${rule.query} · ${this.describeSchedule(rule)}`;
+
+      desc.appendChild(title);
+      desc.appendChild(subtitle);
+
+      const history = document.createElement('details');
+      history.className = 'rule-history';
+      const summary = document.createElement('summary');
+      if (rule.running) {
+        summary.textContent = 'Running now';
+      } else {
+        summary.textContent = rule.lastRun ? `Last run: ${this.describeRun(rule.lastRun)}` : 'Not run yet';
+      }
+      history.appendChild(summary);
+      const runs = document.createElement('ul');
+      (rule.history || []).forEach(run => {
+        const entry = document.createElement('li');
+        entry.textContent = this.describeRun(run);
+        runs.appendChild(entry);
+      });
+      history.appendChild(runs);
+      desc.appendChild(history);
+      item.appendChild(desc);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'rule-buttons';
+
+      const runBtn = document.createElement('button');
+      runBtn.className = 'btn btn-secondary small-btn';
+      runBtn.textContent = 'Run now';
+      runBtn.disabled = rule.running;
+      runBtn.addEventListener('click', () => this.runRule(rule.id, runBtn));
+      buttons.appendChild(runBtn);
+
+      const toggleBtn = document.createElement('button');
+      toggleBtn.className = 'btn btn-secondary small-btn';
+      toggleBtn.textContent = rule.enabled ? 'Pause' : 'Enable';
+      toggleBtn.addEventListener('click', () => this.toggleRule(rule, toggleBtn));
+      buttons.appendChild(toggleBtn);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-secondary small-btn';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => this.deleteRule(rule.id, deleteBtn));
+      buttons.appendChild(deleteBtn);
+
+      item.appendChild(buttons);
+      ruleList.appendChild(item);
+    });
+  }
+
+  async sendRuleMessage(message, button, successMessage) {
+    button.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+
+      if (response.success) {
+        this.showAlert(typeof successMessage === 'function' ? successMessage(response) : successMessage, 'success');
+      } else {
+        this.showAlert('Rule update failed: ' + response.error, 'error');
+      }
+      return response.success;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Rule update error:', error);
+      this.showAlert('Rule update error: ' + error.message, 'error');
+      return false;
+    } finally {
+      button.disabled = false;
+      await this.loadRules();
+      this.updateUI();
+    }
+  }
+
+  async saveRule(form) {
+    const { elements } = form;
+    const calendar = elements.calendarId.selectedOptions[0];
+    const saved = await this.sendRuleMessage({
+      action: 'SAVE_RULE',
+      rule: {
+        name: elements.name.value,
+        calendarId: elements.calendarId.value,
+        calendarName: calendar?.textContent,
+        query: elements.query.value,
+        olderThanDays: Number(elements.olderThanDays.value),
+        maxDeletions: Number(elements.maxDeletions.value),
+        schedule: {
+          frequency: elements.frequency.value,
+          dayOfWeek: Number(elements.dayOfWeek.value),
+          time: elements.time.value
+        }
+      }
+    }, form.querySelector('button[type="submit"]'), 'Rule saved');
+
+    if (saved) {
+      form.reset();
+      elements.dayOfWeek.disabled = false;
+      document.getElementById('rule-form-wrapper').open = false;
+    }
+  }
+
+  runRule(ruleId, button) {
+    button.textContent = 'Running...';
+    return this.sendRuleMessage({ action: 'RUN_RULE', ruleId }, button, ({ run }) => this.describeRun(run));
+  }
+
+  toggleRule(rule, button) {
+    return this.sendRuleMessage(
+      { action: 'SAVE_RULE', rule: { ...rule, enabled: !rule.enabled } },
+      button,
+      rule.enabled ? 'Rule paused' : 'Rule enabled'
+    );
+  }
+
+  deleteRule(ruleId, button) {
+    return this.sendRuleMessage({ action: 'DELETE_RULE', ruleId }, button, 'Rule deleted');
+  }
+
+  async loadBackups() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'LIST_BACKUPS' });
+      if (response.success) {
+        this.backups = response.backups;
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to load backups:', error);
+    }
+  }
+
+  renderBackups() {
+    const backupList = document.getElementById('backup-list');
+    backupList.innerHTML = '';
+
+    if (this.backups.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'backup-empty';
+      empty.textContent = 'No deletions backed up yet.';
+      backupList.appendChild(empty);
+      return;
+    }
+
+    this.backups.forEach(backup => {
+      const item = document.createElement('div');
+      item.className = 'backup-item';
+
+      const desc = document.createElement('div');
+      desc.className = 'action-desc';
+
+      const title = document.createElement('div');
+      title.className = 'action-title';
+      title.textContent = `${backup.eventCount} events · ${new Date(backup.createdAt).toLocaleString()}`;
+
+      const subtitle = document.createElement('div');
+      subtitle.className = 'action-subtitle';
+      subtitle.textContent = backup.restoredAt
+        ? `Restored ${new Date(backup.restoredAt).toLocaleString()}`
+        : (backup.sampleTitles || []).join(', ');
+
+      desc.appendChild(title);
+      desc.appendChild(subtitle);
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'btn btn-secondary small-btn';
+      restoreBtn.textContent = backup.restoredAt ? 'Restore again' : 'Restore';
+      restoreBtn.addEventListener('click', () => this.restoreBackup(backup.id, restoreBtn));
+
+      item.appendChild(desc);
+      item.appendChild(restoreBtn);
+      backupList.appendChild(item);
+    });
+  }
+
+  async loadAuditLog() {
     try {
       const response = await chrome.runtime.sendMessage({
-        action: 'GET_CALENDAR_EVENTS',
-        calendarId: 'primary',
-        filters: { maxResults: 100 }
+        action: 'LIST_AUDIT_LOG',
+        search: this.auditSearch,
+        limit: 50
       });
-      
       if (response.success) {
-        this.eventStats = {
-          count: response.events.length,
-          lastUpdate: new Date().toLocaleTimeString()
-        };
+        this.audit = { entries: response.entries, total: response.total };
       }
     } catch (error) {
       // eslint-disable-next-line no-console
-      console.error('Failed to load event stats:', error);
+      console.error('Failed to load the deletion history:', error);
+    }
+  }
+
+  renderAuditLog() {
+    const auditList = document.getElementById('audit-list');
+    const auditCount = document.getElementById('audit-count');
+    const { entries, total } = this.audit;
+    auditList.innerHTML = '';
+
+    if (total === 0) {
+      auditCount.textContent = this.auditSearch ? 'No matching deletions.' : 'Nothing deleted yet.';
+    } else {
+      auditCount.textContent = total > entries.length
+        ? `Showing the latest ${entries.length} of ${total} entries; export to see them all.`
+        : `${total} entries`;
     }
+
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'backup-item';
+
+      const desc = document.createElement('div');
+      desc.className = 'action-desc';
+
+      const title = document.createElement('div');
+      title.className = 'action-title';
+      title.textContent = entry.title || '(No title)';
+
+      const result = document.createElement('div');
+      result.className = entry.result === 'failed' ? 'action-subtitle audit-failed' : 'action-subtitle';
+      result.textContent = `${entry.result === 'failed' ? `Failed: ${entry.error}` : entry.result} · ${new Date(entry.at).toLocaleString()}`;
+
+      const details = document.createElement('div');
+      details.className = 'action-subtitle';
+      details.textContent = [
+        entry.account || 'unknown account',
+        entry.calendarId,
+        entry.start ? `starts ${new Date(entry.start).toLocaleString()}` : null,
+        entry.filter
+      ].filter(Boolean).join(' · ');
+
+      desc.appendChild(title);
+      desc.appendChild(result);
+      desc.appendChild(details);
+      item.appendChild(desc);
+      auditList.appendChild(item);
+    });
+  }
+
+  async exportAuditLog(format) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'EXPORT_AUDIT_LOG',
+        search: this.auditSearch,
+        format
+      });
+      if (!response.success) {
+        this.showAlert('Export failed: ' + response.error, 'error');
+        return;
+      }
+
+      const type = format === 'json' ? 'application/json' : 'text/csv;charset=utf-8';
+      const url = URL.createObjectURL(new Blob([response.content], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `deletion-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      this.showAlert(`Exported ${response.count} entries`, 'success');
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Export error:', error);
+      this.showAlert('Export error: ' + error.message, 'error');
+    }
+  }
+
+  async restoreBackup(backupId, button) {
+    button.disabled = true;
+    button.textContent = 'Restoring...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'RESTORE_BACKUP', backupId });
+
+      if (response.success) {
+        const { restored, failed } = response.result;
+        if (failed.length > 0) {
+          this.showAlert(`Restored ${restored.length} events, ${failed.length} failed: ${failed[0].error}`, 'error');
+        } else {
+          this.showAlert(`Restored ${restored.length} events`, 'success');
+        }
+      } else {
+        this.showAlert('Restore failed: ' + response.error, 'error');
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Restore error:', error);
+      this.showAlert('Restore error: ' + error.message, 'error');
+    }
+
+    await this.loadBackups();
+    this.updateUI();
   }
 
   updateUI() {
@@ -151,6 +658,7 @@ class PopupManager {
     const statsSection = document.getElementById('stats-section');
     const actionsSection = document.getElementById('actions-section');
     const quickActions = document.getElementById('quick-actions');
+    const backupsSection = document.getElementById('backups-section');
 
     if (this.isAuthenticated) {
       authStatus.textContent = 'Authenticated with Google Calendar';
@@ -161,6 +669,13 @@ class PopupManager {
       statsSection.style.display = 'block';
       actionsSection.style.display = 'block';
       quickActions.style.display = 'grid';
+      backupsSection.style.display = 'block';
+      document.getElementById('rules-section').style.display = 'block';
+      document.getElementById('audit-section').style.display = 'block';
+      this.renderJobs();
+      this.renderRules();
+      this.renderAuditLog();
+      this.renderBackups();
 
       // Update stats
       document.getElementById('event-count').textContent = this.eventStats.count;
@@ -187,6 +702,10 @@ class PopupManager {
       statsSection.style.display = 'none';
       actionsSection.style.display = 'none';
       quickActions.style.display = 'none';
+      backupsSection.style.display = 'none';
+      document.getElementById('jobs-section').style.display = 'none';
+      document.getElementById('rules-section').style.display = 'none';
+      document.getElementById('audit-section').style.display = 'none';
     }
   }
 
@@ -237,14 +756,17 @@ class PopupManager {
     
     this.showLoading(true);
     await this.loadEventStats();
+    await this.loadJobs();
+    await this.loadRules();
+    await this.loadBackups();
+    await this.loadAuditLog();
     this.showLoading(false);
     this.updateUI();
     this.showAlert('Data refreshed successfully', 'success');
   }
 
   openSettings() {
-    // For now, just show an alert.
-    this.showAlert('Settings feature coming soon!', 'success');
+    chrome.runtime.openOptionsPage();
   }
 
   openHelp() {
@@ -0,0 +1,166 @@
+/**
+ * Calendar Bulk Delete - Saved filter presets
+ * Named filter combinations kept in chrome.storage.sync so they roam with
+ * the user's Chrome profile, plus a JSON format for sharing them.
+ */
+
+class PresetStore {
+  constructor() {
+    this.indexKey = 'presetIndex';
+    this.fileType = 'calendar-bulk-delete-presets';
+    // Filter fields a preset may carry; anything else in imported files is dropped
+    this.stringFields = ['query', 'organizer', 'attendee', 'responseStatus', 'eventType', 'fromDate', 'toDate'];
+  }
+
+  presetKey(presetId) {
+    return `preset:${presetId}`;
+  }
+
+  /**
+   * Presets are stored one per key so a large set never hits the per-item
+   * sync quota.
+   */
+  async listPresets() {
+    const { [this.indexKey]: index } = await chrome.storage.sync.get(this.indexKey);
+    if (!index || index.length === 0) return [];
+
+    const keys = index.map(presetId => this.presetKey(presetId));
+    const stored = await chrome.storage.sync.get(keys);
+    return keys
+      .map(key => stored[key])
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Saves `filters` under `name`, replacing an existing preset with the same
+   * name (ignoring case).
+   */
+  async savePreset(name, filters) {
+    const trimmed = this.validateName(name);
+    const presets = await this.listPresets();
+    const existing = presets.find(preset => this.sameName(preset.name, trimmed));
+
+    const preset = {
+      id: existing ? existing.id : `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: trimmed,
+      filters: this.normalizeFilters(filters),
+      updatedAt: new Date().toISOString()
+    };
+    await this.writePresets([preset]);
+    return preset;
+  }
+
+  async renamePreset(presetId, name) {
+    const trimmed = this.validateName(name);
+    const presets = await this.listPresets();
+    const preset = presets.find(p => p.id === presetId);
+    if (!preset) {
+      throw new Error('Preset not found');
+    }
+    if (presets.some(p => p.id !== presetId && this.sameName(p.name, trimmed))) {
+      throw new Error(`A preset named "${trimmed}" already exists`);
+    }
+
+    const renamed = { ...preset, name: trimmed, updatedAt: new Date().toISOString() };
+    await this.writePresets([renamed]);
+    return renamed;
+  }
+
+  async deletePreset(presetId) {
+    const { [this.indexKey]: index = [] } = await chrome.storage.sync.get(this.indexKey);
+    await chrome.storage.sync.set({
+      [this.indexKey]: index.filter(id => id !== presetId)
+    });
+    await chrome.storage.sync.remove(this.presetKey(presetId));
+  }
+
+  async exportPresets() {
+    const presets = await this.listPresets();
+    return JSON.stringify({
+      type: this.fileType,
+      version: 1,
+      presets: presets.map(({ name, filters }) => ({ name, filters }))
+    }, null, 2);
+  }
+
+  /**
+   * Imports presets from an exported file (or a bare array of presets).
+   * Presets whose name already exists replace the local copy. Returns the
+   * number imported.
+   */
+  async importPresets(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    const entries = Array.isArray(data) ? data : data?.presets;
+    if (!Array.isArray(entries) || (!Array.isArray(data) && data.type !== this.fileType)) {
+      throw new Error('The file does not contain filter presets');
+    }
+
+    const existing = await this.listPresets();
+    const imported = new Map();
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new Error(`Preset ${index + 1} has no name`);
+      }
+      const name = entry.name.trim();
+      const match = existing.find(preset => this.sameName(preset.name, name));
+      imported.set(name.toLowerCase(), {
+        id: match ? match.id : `${Date.now()}-${index}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        filters: this.normalizeFilters(entry.filters),
+        updatedAt: new Date().toISOString()
+      });
+    });
+
+    await this.writePresets([...imported.values()]);
+    return imported.size;
+  }
+
+  async writePresets(presets) {
+    const { [this.indexKey]: index = [] } = await chrome.storage.sync.get(this.indexKey);
+    const ids = presets.map(preset => preset.id).filter(id => !index.includes(id));
+    await chrome.storage.sync.set({
+      ...Object.fromEntries(presets.map(preset => [this.presetKey(preset.id), preset])),
+      [this.indexKey]: [...index, ...ids]
+    });
+  }
+
+  normalizeFilters(filters = {}) {
+    const normalized = {};
+    this.stringFields.forEach(field => {
+      if (typeof filters?.[field] === 'string' && filters[field] !== '') {
+        normalized[field] = filters[field];
+      }
+    });
+    if (Array.isArray(filters?.calendarIds)) {
+      const calendarIds = filters.calendarIds.filter(id => typeof id === 'string');
+      if (calendarIds.length > 0) {
+        normalized.calendarIds = calendarIds;
+      }
+    }
+    return normalized;
+  }
+
+  validateName(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Preset name cannot be empty');
+    }
+    return trimmed;
+  }
+
+  sameName(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+}
+
+// Expose classes to the Jest suite; `module` does not exist in the extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PresetStore };
+}
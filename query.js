@@ -0,0 +1,251 @@
+/**
+ * Calendar Bulk Delete - Event query language
+ * Parses filter expressions such as `standup -cancelled OR /^\[HOLD\]/`
+ * and matches them against events.
+ *
+ * Syntax:
+ *   word            title contains the word (case-insensitive)
+ *   "some phrase"   title contains the phrase
+ *   /regex/flags    title matches the regular expression
+ *   field:value     match another field (title, location, description,
+ *                   calendar, organizer, attendee); the value can
+ *                   be a word, a "phrase" or a /regex/
+ *   -term           exclude events matching the term
+ *   a b             both must match
+ *   a OR b          either may match (binds looser than AND)
+ *   ( ... )         grouping
+ */
+
+class QueryError extends Error {
+  constructor(message, position) {
+    super(`${message} (at character ${position + 1})`);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+class QueryParser {
+  constructor() {
+    // field prefix -> event values it searches
+    this.fields = {
+      title: event => [event.title],
+      location: event => [event.location],
+      description: event => [event.description],
+      calendar: event => [event.calendarName, event.calendarId],
+      organizer: event => [event.organizer, event.organizerName],
+      attendee: event => (event.attendees || []).flatMap(guest => [guest.email, guest.displayName])
+    };
+  }
+
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, position: i });
+        i++;
+      } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+        tokens.push({ type: 'not', position: i });
+        i++;
+      } else {
+        const term = this.readTerm(text, i);
+        tokens.push(term.token);
+        i = term.end;
+      }
+    }
+
+    return tokens;
+  }
+
+  readTerm(text, start) {
+    const fieldMatch = /^([a-z]+):/i.exec(text.slice(start));
+    const field = fieldMatch && this.fields[fieldMatch[1].toLowerCase()] ? fieldMatch[1].toLowerCase() : null;
+    const valueStart = field ? start + fieldMatch[0].length : start;
+    const char = text[valueStart];
+
+    if (char === '"') {
+      const close = text.indexOf('"', valueStart + 1);
+      if (close === -1) {
+        throw new QueryError('Missing closing quote', valueStart);
+      }
+      return {
+        token: { type: 'term', field, text: text.slice(valueStart + 1, close), position: start },
+        end: close + 1
+      };
+    }
+
+    if (char === '/') {
+      return this.readRegex(text, start, valueStart, field);
+    }
+
+    let end = valueStart;
+    while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+    const value = text.slice(valueStart, end);
+
+    if (field && value === '') {
+      throw new QueryError(`Missing value after "${field}:"`, start);
+    }
+    if (!field && value === 'OR') {
+      return { token: { type: 'or', position: start }, end };
+    }
+    return { token: { type: 'term', field, text: value, position: start }, end };
+  }
+
+  readRegex(text, start, valueStart, field) {
+    let end = valueStart + 1;
+    let inClass = false;
+    while (end < text.length) {
+      if (text[end] === '\\') {
+        end += 2;
+        continue;
+      }
+      if (text[end] === '[') inClass = true;
+      if (text[end] === ']') inClass = false;
+      if (text[end] === '/' && !inClass) break;
+      end++;
+    }
+    if (end >= text.length) {
+      throw new QueryError('Missing closing / for regular expression', valueStart);
+    }
+
+    const source = text.slice(valueStart + 1, end);
+    const flags = /^[a-z]*/.exec(text.slice(end + 1))[0];
+    let regex;
+    try {
+      // Always case-insensitive like plain terms; g/y would make test() stateful
+      regex = new RegExp(source, `${flags.replace(/[giy]/g, '')}i`);
+    } catch (error) {
+      throw new QueryError(`Invalid regular expression: ${error.message}`, valueStart);
+    }
+
+    return {
+      token: { type: 'term', field, regex, position: start },
+      end: end + 1 + flags.length
+    };
+  }
+
+  parse(text) {
+    const tokens = this.tokenize(text);
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    const state = { tokens, index: 0, length: text.length };
+    const node = this.parseOr(state);
+    if (state.index < tokens.length) {
+      throw new QueryError('Unexpected ")"', tokens[state.index].position);
+    }
+    return node;
+  }
+
+  parseOr(state) {
+    const children = [this.parseAnd(state)];
+    while (this.peek(state)?.type === 'or') {
+      state.index++;
+      children.push(this.parseAnd(state));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd(state) {
+    const children = [];
+    let next = this.peek(state);
+    while (next && next.type !== 'or' && next.type !== ')') {
+      children.push(this.parseUnary(state));
+      next = this.peek(state);
+    }
+    if (children.length === 0) {
+      throw new QueryError('Expected a search term', next ? next.position : state.length);
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseUnary(state) {
+    const token = this.peek(state);
+    if (token.type === 'not') {
+      state.index++;
+      const next = this.peek(state);
+      if (!next || next.type === 'or' || next.type === ')') {
+        throw new QueryError('Expected a term after "-"', token.position);
+      }
+      return { type: 'not', child: this.parseUnary(state) };
+    }
+    if (token.type === '(') {
+      state.index++;
+      const node = this.parseOr(state);
+      if (this.peek(state)?.type !== ')') {
+        throw new QueryError('Missing closing ")"', token.position);
+      }
+      state.index++;
+      return node;
+    }
+
+    state.index++;
+    return token;
+  }
+
+  peek(state) {
+    return state.tokens[state.index];
+  }
+}
+
+class EventQuery {
+  constructor(text = '') {
+    this.text = text;
+    this.parser = new QueryParser();
+    this.root = this.parser.parse(text);
+  }
+
+  /**
+   * Parses `text`, returning `{ query }` or `{ error }` instead of throwing
+   * so the dialog can show parse problems inline.
+   */
+  static tryParse(text) {
+    try {
+      return { query: new EventQuery(text), error: null };
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return { query: null, error };
+      }
+      throw error;
+    }
+  }
+
+  isEmpty() {
+    return this.root === null;
+  }
+
+  matches(event) {
+    return this.root === null || this.evaluate(this.root, event);
+  }
+
+  evaluate(node, event) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.evaluate(child, event));
+      case 'or':
+        return node.children.some(child => this.evaluate(child, event));
+      case 'not':
+        return !this.evaluate(node.child, event);
+      default: {
+        const values = this.parser.fields[node.field || 'title'](event)
+          .filter(value => typeof value === 'string');
+        if (node.regex) {
+          return values.some(value => node.regex.test(value));
+        }
+        const needle = node.text.toLowerCase();
+        return values.some(value => value.toLowerCase().includes(needle));
+      }
+    }
+  }
+}
+
+// Expose classes to the Jest suite; `module` does not exist in the extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EventQuery, QueryParser, QueryError };
+}
@@ -0,0 +1,101 @@
+/**
+ * Calendar Bulk Delete - Settings
+ * Defaults and validation for the `calendarSettings` shared by the options
+ * page, the background service worker and the content script.
+ */
+
+class SettingsStore {
+  constructor() {
+    this.key = 'calendarSettings';
+    this.defaults = {
+      confirmDeletions: true,
+      batchSize: 50,
+      autoBackup: true,
+      defaultView: 'week'
+    };
+    // Calendar views the content script can work out a date range for
+    this.views = ['day', 'week', 'month', 'year', 'agenda'];
+    // The most requests the Calendar batch endpoint takes in one call
+    this.maxBatchSize = 50;
+    // Saved with the settings; those written before the options page have none
+    this.version = 1;
+  }
+
+  /**
+   * Stored settings merged over the defaults. A stored value that no longer
+   * validates falls back to its default instead of breaking the caller.
+   */
+  async load() {
+    const { [this.key]: stored } = await chrome.storage.sync.get(this.key);
+    const { settings, errors } = this.validate({ ...this.defaults, ...this.migrate(stored) });
+    Object.keys(errors).forEach(field => {
+      settings[field] = this.defaults[field];
+    });
+    return settings;
+  }
+
+  /**
+   * Upgrades settings saved by an older version. Installs from before the
+   * options page stored a batch size of 10 nobody chose, so it counts as
+   * unset and the current default applies.
+   */
+  migrate(stored) {
+    if (!stored || stored.version) return stored;
+    const { batchSize, ...rest } = stored;
+    return batchSize === 10 ? rest : stored;
+  }
+
+  /**
+   * Returns the valid settings and a field -> message map of the invalid ones.
+   */
+  validate(input) {
+    const settings = {};
+    const errors = {};
+
+    ['confirmDeletions', 'autoBackup'].forEach(field => {
+      if (typeof input[field] === 'boolean') {
+        settings[field] = input[field];
+      } else {
+        errors[field] = 'Must be on or off.';
+      }
+    });
+
+    const batchSize = Number(input.batchSize);
+    if (Number.isInteger(batchSize) && batchSize >= 1 && batchSize <= this.maxBatchSize) {
+      settings.batchSize = batchSize;
+    } else {
+      errors.batchSize = `Enter a whole number from 1 to ${this.maxBatchSize}.`;
+    }
+
+    if (this.views.includes(input.defaultView)) {
+      settings.defaultView = input.defaultView;
+    } else {
+      errors.defaultView = `Choose one of: ${this.views.join(', ')}.`;
+    }
+
+    return { settings, errors };
+  }
+
+  async save(input) {
+    const { settings, errors } = this.validate(input);
+    if (Object.keys(errors).length > 0) {
+      const error = new Error('Some settings are not valid.');
+      error.fields = errors;
+      throw error;
+    }
+
+    await chrome.storage.sync.set({ [this.key]: { ...settings, version: this.version } });
+    return settings;
+  }
+
+  async reset() {
+    const settings = { ...this.defaults };
+    await chrome.storage.sync.set({ [this.key]: { ...settings, version: this.version } });
+    return settings;
+  }
+}
+
+// Expose classes to the Jest suite; `module` does not exist in the extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SettingsStore };
+}
@@ -154,4 +154,1153 @@ describe('MessageRouter', () => {
     // Should have waited some time (allowing for test timing variations)
     expect(thirdRequestEnd - thirdRequestStart).toBeGreaterThan(0);
   });
-});
\ No newline at end of file
+});
+
+describe('BackupManager', () => {
+  const { BackupManager } = require('../background.js');
+  let store;
+
+  beforeEach(() => {
+    store = {};
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: store[key] }));
+    chrome.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+    chrome.storage.local.remove.mockImplementation(async (keys) => {
+      [].concat(keys).forEach(key => delete store[key]);
+    });
+  });
+
+  test('should save a snapshot and index it', async () => {
+    const manager = new BackupManager();
+    const events = [{ calendarId: 'primary', resource: { id: 'abc', summary: 'Standup' } }];
+
+    const snapshotId = await manager.saveSnapshot(events);
+
+    const index = await manager.listSnapshots();
+    expect(index).toHaveLength(1);
+    expect(index[0]).toEqual(expect.objectContaining({
+      id: snapshotId,
+      eventCount: 1,
+      calendarIds: ['primary']
+    }));
+    expect((await manager.getSnapshot(snapshotId)).events).toEqual(events);
+  });
+
+  test('should drop the oldest snapshots beyond the retention limit', async () => {
+    const manager = new BackupManager(2);
+    const nowSpy = jest.spyOn(Date, 'now');
+    const ids = [];
+
+    for (let i = 0; i < 3; i++) {
+      nowSpy.mockReturnValue(1000 + i);
+      ids.push(await manager.saveSnapshot([{ calendarId: 'primary', resource: { id: `e${i}` } }]));
+    }
+    nowSpy.mockRestore();
+
+    const index = await manager.listSnapshots();
+    expect(index.map(s => s.id)).toEqual([ids[2], ids[1]]);
+    expect(await manager.getSnapshot(ids[0])).toBeNull();
+  });
+
+  test('should keep every snapshot in the index when backups change at the same time', async () => {
+    const manager = new BackupManager();
+    const snapshot = (id) => [{ calendarId: 'primary', resource: { id } }];
+    const [first, second] = await Promise.all([manager.saveSnapshot(snapshot('a')), manager.saveSnapshot(snapshot('b'))]);
+
+    const [, third] = await Promise.all([
+      manager.markRestored(first),
+      manager.saveSnapshot(snapshot('c')),
+      manager.deleteSnapshot(second),
+      manager.keepEvents(first, new Set(['a']))
+    ]);
+
+    const index = await manager.listSnapshots();
+    expect(index.map(s => s.id)).toEqual([third, first]);
+    expect(index[1].restoredAt).not.toBeNull();
+    expect(await manager.getSnapshot(second)).toBeNull();
+  });
+});
+
+describe('Backup restore', () => {
+  const { MessageRouter } = require('../background.js');
+  let router;
+
+  beforeEach(() => {
+    globalThis.fetch.mockReset();
+    router = new MessageRouter();
+    router.authManager.getValidToken = jest.fn().mockResolvedValue('token');
+  });
+
+  test('should re-import standalone events keeping their iCalUID', async () => {
+    globalThis.fetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({}) });
+
+    await router.restoreEvent('team@group.calendar.google.com', {
+      id: 'abc',
+      etag: '"1"',
+      htmlLink: 'https://calendar.google.com/event?eid=abc',
+      iCalUID: 'abc@google.com',
+      summary: 'Planning',
+      recurrence: ['RRULE:FREQ=WEEKLY'],
+      attendees: [{ email: 'a@example.com' }],
+      reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 5 }] }
+    });
+
+    const [url, options] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://www.googleapis.com/calendar/v3/calendars/team%40group.calendar.google.com/events/import?conferenceDataVersion=1');
+    expect(options.method).toBe('POST');
+    const body = JSON.parse(options.body);
+    expect(body).toEqual(expect.objectContaining({
+      iCalUID: 'abc@google.com',
+      recurrence: ['RRULE:FREQ=WEEKLY'],
+      attendees: [{ email: 'a@example.com' }],
+      status: 'confirmed'
+    }));
+    expect(body.id).toBeUndefined();
+    expect(body.etag).toBeUndefined();
+  });
+
+  test('should un-cancel deleted instances of a recurring series in place', async () => {
+    globalThis.fetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({}) });
+
+    await router.restoreEvent('primary', {
+      id: 'series_20250901T150000Z',
+      recurringEventId: 'series',
+      originalStartTime: { dateTime: '2025-09-01T15:00:00Z' },
+      summary: 'Weekly sync'
+    });
+
+    const [url, options] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://www.googleapis.com/calendar/v3/calendars/primary/events/series_20250901T150000Z');
+    expect(options.method).toBe('PUT');
+    expect(JSON.parse(options.body).status).toBe('confirmed');
+  });
+
+  test('should recreate status events with their type properties', async () => {
+    globalThis.fetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({}) });
+
+    await router.restoreEvent('primary', {
+      id: 'wl1',
+      iCalUID: 'wl1@google.com',
+      eventType: 'workingLocation',
+      summary: 'Office',
+      start: { date: '2025-09-01' },
+      end: { date: '2025-09-02' },
+      workingLocationProperties: { type: 'officeLocation', officeLocation: { label: 'HQ' } }
+    });
+
+    const [url, options] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://www.googleapis.com/calendar/v3/calendars/primary/events');
+    const body = JSON.parse(options.body);
+    expect(body.eventType).toBe('workingLocation');
+    expect(body.workingLocationProperties.officeLocation.label).toBe('HQ');
+    expect(body.iCalUID).toBeUndefined();
+  });
+
+  test('should only restore the events a partly failed deletion removed', async () => {
+    const store = {};
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: store[key] }));
+    chrome.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+    chrome.storage.local.remove.mockImplementation(async (keys) => {
+      [].concat(keys).forEach(key => delete store[key]);
+    });
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.auditLog = { append: jest.fn() };
+    router.getAccountEmail = jest.fn().mockResolvedValue('me@example.com');
+    router.isAutoBackupEnabled = jest.fn().mockResolvedValue(true);
+    router.getEvent = jest.fn(async (calendarId, eventId) => ({ id: eventId, summary: `Event ${eventId}` }));
+    const forbidden = Object.assign(new Error('HTTP 403: Forbidden'), { status: 403 });
+    router.deleteEventsInBatch = jest.fn().mockResolvedValue([null, forbidden, null]);
+    router.deleteEvent = jest.fn().mockRejectedValue(forbidden);
+    router.restoreEvent = jest.fn().mockResolvedValue({});
+
+    const result = await router.performBulkDeletion(['e1', 'e2', 'e3'].map(id => ({
+      domEventId: id,
+      actualEventId: id,
+      calendarId: 'primary',
+      title: `Event ${id}`
+    })));
+    const restored = await router.restoreBackup(result.backupId);
+
+    expect(result.failed.map(f => f.actualEventId)).toEqual(['e2']);
+    expect(router.restoreEvent.mock.calls.map(([, resource]) => resource.id)).toEqual(['e1', 'e3']);
+    expect(restored.restored).toHaveLength(2);
+    const [summary] = await router.backupManager.listSnapshots();
+    expect(summary.eventCount).toBe(2);
+
+    // A pass where nothing was deleted leaves no backup to undo
+    const retry = await router.performBulkDeletion([
+      { domEventId: 'e2', actualEventId: 'e2', calendarId: 'primary', title: 'Event e2' }
+    ]);
+
+    expect(retry.backupId).toBeNull();
+    expect(await router.backupManager.listSnapshots()).toHaveLength(1);
+
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+    chrome.storage.local.remove.mockReset();
+  });
+});
+
+describe('Recurring series truncation', () => {
+  const { MessageRouter } = require('../background.js');
+  const router = Object.create(MessageRouter.prototype);
+
+  test('should end timed series one second before the cutoff', () => {
+    expect(router.truncateRecurrence(
+      ['RRULE:FREQ=WEEKLY;COUNT=50;BYDAY=MO', 'EXDATE:20250908T100000Z'],
+      '2025-09-15T10:00:00Z',
+      false
+    )).toEqual([
+      'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20250915T095959Z',
+      'EXDATE:20250908T100000Z'
+    ]);
+  });
+
+  test('should use a DATE value for all-day series', () => {
+    expect(router.truncateRecurrence(['RRULE:FREQ=DAILY;UNTIL=20251231'], '2025-09-15', true))
+      .toEqual(['RRULE:FREQ=DAILY;UNTIL=20250914']);
+  });
+});
+
+describe('Calendar list', () => {
+  const { MessageRouter } = require('../background.js');
+
+  test('should follow page tokens and put the primary calendar first', async () => {
+    const router = Object.create(MessageRouter.prototype);
+    router.calendarRequest = jest.fn()
+      .mockResolvedValueOnce({
+        items: [{ id: 'team@group.calendar.google.com', summary: 'Team', backgroundColor: '#f00', accessRole: 'writer' }],
+        nextPageToken: 'page-2'
+      })
+      .mockResolvedValueOnce({
+        items: [{ id: 'me@example.com', summary: 'Me', summaryOverride: 'My calendar', accessRole: 'owner', primary: true }]
+      });
+
+    const calendars = await router.listCalendars();
+
+    expect(router.calendarRequest.mock.calls[1][0]).toContain('pageToken=page-2');
+    expect(calendars.map(c => c.summary)).toEqual(['My calendar', 'Team']);
+    expect(calendars[1]).toEqual({
+      id: 'team@group.calendar.google.com',
+      summary: 'Team',
+      backgroundColor: '#f00',
+      accessRole: 'writer',
+      primary: false
+    });
+  });
+});
+
+describe('Event pagination', () => {
+  const { MessageRouter } = require('../background.js');
+
+  test('should follow nextPageToken and report every page', async () => {
+    const router = Object.create(MessageRouter.prototype);
+    router.calendarRequest = jest.fn()
+      .mockResolvedValueOnce({ items: [{ id: 'a' }, { id: 'b' }], nextPageToken: 'next' })
+      .mockResolvedValueOnce({ items: [{ id: 'c' }] });
+    const onPage = jest.fn();
+
+    const events = await router.getCalendarEvents('primary', { maxResults: 5000, timeMin: '2025-01-01T00:00:00Z' }, onPage);
+
+    expect(events.map(e => e.id)).toEqual(['a', 'b', 'c']);
+    expect(onPage).toHaveBeenNthCalledWith(1, [{ id: 'a' }, { id: 'b' }], 2);
+    expect(onPage).toHaveBeenNthCalledWith(2, [{ id: 'c' }], 3);
+
+    const secondUrl = new URL(router.calendarRequest.mock.calls[1][0]);
+    expect(secondUrl.searchParams.get('pageToken')).toBe('next');
+    expect(secondUrl.searchParams.get('maxResults')).toBe('2500');
+    expect(secondUrl.searchParams.get('timeMin')).toBe('2025-01-01T00:00:00Z');
+  });
+});
+
+describe('Bulk deletion progress', () => {
+  const { MessageRouter, RateLimiter } = require('../background.js');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report done, failed and remaining counts per batch', async () => {
+    jest.spyOn(RateLimiter.prototype, 'acquire').mockResolvedValue(undefined);
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.isAutoBackupEnabled = jest.fn().mockResolvedValue(false);
+    // Exercise the one-request-per-event fallback
+    router.deleteEventsInBatch = jest.fn().mockRejectedValue(new Error('HTTP 503: Service Unavailable'));
+    router.deleteEvent = jest.fn(async (calendarId, eventId) => {
+      if (eventId === 'e3') throw new Error('HTTP 403: Forbidden');
+    });
+    const events = Array.from({ length: 52 }, (_, i) => ({
+      domEventId: `d${i}`,
+      actualEventId: `e${i}`,
+      calendarId: 'primary',
+      title: `Event ${i}`
+    }));
+    const onProgress = jest.fn();
+
+    const result = await router.performBulkDeletion(events, onProgress);
+
+    expect(result.successful).toHaveLength(51);
+    expect(router.deleteEvent).toHaveBeenCalledTimes(52);
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    expect(onProgress.mock.calls[0][0]).toEqual(expect.objectContaining({
+      phase: 'delete', done: 49, failed: 1, remaining: 2, total: 52, currentTitle: 'Event 49'
+    }));
+    expect(onProgress.mock.calls[1][0]).toEqual(expect.objectContaining({
+      done: 51, failed: 1, remaining: 0, etaMs: 0
+    }));
+  });
+
+  test('should send batches of the size chosen in the settings', async () => {
+    jest.spyOn(RateLimiter.prototype, 'acquire').mockResolvedValue(undefined);
+    chrome.storage.sync.get.mockResolvedValueOnce({ calendarSettings: { batchSize: 20 } });
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.isAutoBackupEnabled = jest.fn().mockResolvedValue(false);
+    router.deleteEventsInBatch = jest.fn(async (batch) => batch.map(() => null));
+    const events = Array.from({ length: 45 }, (_, i) => ({
+      domEventId: `d${i}`,
+      actualEventId: `e${i}`,
+      calendarId: 'primary',
+      title: `Event ${i}`
+    }));
+
+    await router.performBulkDeletion(events);
+
+    expect(router.deleteEventsInBatch.mock.calls.map(([batch]) => batch.length)).toEqual([20, 20, 5]);
+  });
+});
+
+describe('Event types', () => {
+  const { MessageRouter } = require('../background.js');
+
+  test('should fail birthdays up front without calling the API', async () => {
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.isAutoBackupEnabled = jest.fn().mockResolvedValue(false);
+    router.deleteEvent = jest.fn().mockResolvedValue(undefined);
+
+    const result = await router.performBulkDeletion([
+      { domEventId: 'd1', actualEventId: 'b1', calendarId: 'primary', title: 'Birthday', eventType: 'birthday' },
+      { domEventId: 'd2', actualEventId: 'w1', calendarId: 'primary', title: 'Home', eventType: 'workingLocation' }
+    ]);
+
+    expect(router.deleteEvent).toHaveBeenCalledTimes(1);
+    expect(router.deleteEvent).toHaveBeenCalledWith('primary', 'w1', { interactive: true });
+    expect(result.failed).toEqual([
+      expect.objectContaining({ actualEventId: 'b1', retryable: false })
+    ]);
+  });
+});
+
+describe('Dry runs', () => {
+  const { MessageRouter, ApiError } = require('../background.js');
+
+  test('should report what would be deleted or skipped without deleting', async () => {
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.listCalendars = jest.fn().mockResolvedValue([
+      { id: 'primary', accessRole: 'owner' },
+      { id: 'holidays', accessRole: 'reader' }
+    ]);
+    router.getEvent = jest.fn(async (calendarId, eventId) => {
+      if (eventId === 'gone') throw new ApiError(404, 'Not Found');
+      return { id: eventId, status: eventId === 'cancelled' ? 'cancelled' : 'confirmed' };
+    });
+    router.deleteEvent = jest.fn();
+    router.deleteEventsInBatch = jest.fn();
+    const onProgress = jest.fn();
+
+    const report = await router.planBulkDeletion([
+      { domEventId: 'd1', actualEventId: 'ok', calendarId: 'primary', title: 'Keep going' },
+      { domEventId: 'd2', actualEventId: 'bday', calendarId: 'primary', title: 'Birthday', eventType: 'birthday' },
+      { domEventId: 'd3', actualEventId: 'h1', calendarId: 'holidays', title: 'Holiday' },
+      { domEventId: 'd4', actualEventId: 'gone', calendarId: 'primary', title: 'Gone' },
+      { domEventId: 'd5', actualEventId: 'cancelled', calendarId: 'primary', title: 'Cancelled' },
+      { domEventId: 'd6', actualEventId: 'series', calendarId: 'primary', title: 'Series', operation: 'truncate', truncateFrom: '2025-10-01T00:00:00Z' }
+    ], onProgress);
+
+    expect(report.dryRun).toBe(true);
+    expect(report.wouldDelete.map(e => [e.actualEventId, e.operation])).toEqual([['ok', 'delete'], ['series', 'truncate']]);
+    expect(report.skipped.map(e => [e.actualEventId, e.reason])).toEqual([
+      ['bday', expect.stringContaining('Google Contacts')],
+      ['h1', 'You only have reader access to this calendar'],
+      ['gone', 'The event no longer exists'],
+      ['cancelled', 'The event is already deleted']
+    ]);
+    expect(router.deleteEvent).not.toHaveBeenCalled();
+    expect(router.deleteEventsInBatch).not.toHaveBeenCalled();
+    expect(router.jobs.size).toBe(0);
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ phase: 'check', done: 2, failed: 4, remaining: 0 }));
+  });
+});
+
+describe('Pausing and cancelling jobs', () => {
+  const { MessageRouter } = require('../background.js');
+  let router;
+  const events = Array.from({ length: 120 }, (_, i) => ({
+    domEventId: `d${i}`,
+    actualEventId: `e${i}`,
+    calendarId: 'primary',
+    title: `Event ${i}`
+  }));
+
+  beforeEach(() => {
+    router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.isAutoBackupEnabled = jest.fn().mockResolvedValue(false);
+    router.deleteEventsInBatch = jest.fn(async (batch) => batch.map(() => null));
+  });
+
+  test('should stop after the current batch when paused and resume from the cursor', async () => {
+    let jobId;
+    const paused = await router.performBulkDeletion(
+      events,
+      (progress) => {
+        if (progress.remaining === 70) router.pauseJob(jobId);
+      },
+      (id) => { jobId = id; }
+    );
+
+    expect(paused).toEqual(expect.objectContaining({ status: 'paused', remaining: 70 }));
+    expect(router.deleteEventsInBatch).toHaveBeenCalledTimes(1);
+
+    const resumed = await router.resumeJob(jobId, () => {});
+
+    expect(resumed).toEqual(expect.objectContaining({ status: 'completed', remaining: 0 }));
+    expect(resumed.successful).toHaveLength(120);
+    expect(router.jobs.has(jobId)).toBe(false);
+  });
+
+  test('should discard the rest of the queue when cancelled', async () => {
+    let jobId;
+    const result = await router.performBulkDeletion(
+      events,
+      () => router.cancelJob(jobId),
+      (id) => { jobId = id; }
+    );
+
+    expect(result).toEqual(expect.objectContaining({ status: 'cancelled', remaining: 70 }));
+    expect(result.successful).toHaveLength(50);
+    expect(() => router.resumeJob(jobId)).toThrow('no longer available');
+    expect(router.jobStore.deleteJob).toHaveBeenCalledWith(jobId);
+  });
+
+  test('should checkpoint the cursor after every batch', async () => {
+    const cursors = [];
+    router.jobStore.saveJob.mockImplementation(async (job) => cursors.push(job.cursor));
+
+    await router.performBulkDeletion(events);
+
+    expect(cursors).toEqual([0, 50, 100, 120]);
+    expect(router.jobStore.deleteJob).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Job persistence', () => {
+  const { MessageRouter, JobStore } = require('../background.js');
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (keys) => {
+      const wanted = Array.isArray(keys) ? keys : [keys];
+      return Object.fromEntries(wanted.filter(key => key in storage).map(key => [key, storage[key]]));
+    });
+    chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+    chrome.storage.local.remove.mockImplementation(async (keys) => {
+      [].concat(keys).forEach(key => delete storage[key]);
+    });
+  });
+
+  afterEach(() => {
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+    chrome.storage.local.remove.mockReset();
+  });
+
+  test('should keep every job in the index when jobs are saved at the same time', async () => {
+    const store = new JobStore();
+    const job = (id) => ({ id, type: 'delete', state: 'running', events: [], cursor: 0, results: { successful: [], failed: [] } });
+
+    await Promise.all([store.saveJob(job('job-1')), store.saveJob(job('job-2'))]);
+    expect(storage.jobIndex).toEqual(['job-1', 'job-2']);
+
+    await Promise.all([store.deleteJob('job-1'), store.saveJob(job('job-3'))]);
+    expect((await store.listJobs()).map(saved => saved.id)).toEqual(['job-2', 'job-3']);
+  });
+
+  test('should round-trip jobs through storage', async () => {
+    const store = new JobStore();
+    const job = {
+      id: 'job-1',
+      type: 'delete',
+      state: 'running',
+      running: true,
+      events: [{ actualEventId: 'e1', calendarId: 'primary' }],
+      cursor: 0,
+      results: { successful: [], failed: [], backupId: null },
+      failedBeforeRun: 0,
+      createdAt: '2025-09-01T00:00:00.000Z'
+    };
+
+    await store.saveJob(job);
+    await store.saveJob({ ...job, cursor: 1 });
+
+    const jobs = await store.listJobs();
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toEqual(expect.objectContaining({ id: 'job-1', cursor: 1 }));
+    expect(jobs[0]).not.toHaveProperty('running');
+
+    await store.deleteJob('job-1');
+    expect(await store.listJobs()).toEqual([]);
+  });
+
+  test('should resume jobs left running by a terminated worker', async () => {
+    const store = new JobStore();
+    await store.saveJob({
+      id: 'job-2',
+      type: 'delete',
+      state: 'running',
+      events: [
+        { actualEventId: 'e1', calendarId: 'primary', title: 'Done before' },
+        { actualEventId: 'e2', calendarId: 'primary', title: 'Still queued' }
+      ],
+      cursor: 1,
+      results: { successful: [{ actualEventId: 'e1' }], failed: [], backupId: null },
+      failedBeforeRun: 0,
+      createdAt: '2025-09-01T00:00:00.000Z'
+    });
+
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = store;
+    router.deleteEvent = jest.fn().mockResolvedValue(undefined);
+
+    await router.restoreJobs();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(router.deleteEvent).toHaveBeenCalledTimes(1);
+    expect(router.deleteEvent).toHaveBeenCalledWith('primary', 'e2', { interactive: true });
+    expect(await store.listJobs()).toEqual([]);
+  });
+
+  test('should never prompt for sign-in when resuming a rule job', async () => {
+    const store = new JobStore();
+    await store.saveJob({
+      id: 'job-3',
+      type: 'delete',
+      state: 'running',
+      interactive: false,
+      events: [{ actualEventId: 'e1', calendarId: 'primary', title: 'Old hold' }],
+      cursor: 0,
+      results: { successful: [], failed: [], backupId: null },
+      failedBeforeRun: 0,
+      filter: 'Rule "Old holds": hold (older than 7 days)',
+      createdAt: '2025-09-01T00:00:00.000Z'
+    });
+
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = store;
+    router.deleteEvent = jest.fn().mockResolvedValue(undefined);
+
+    await router.restoreJobs();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(router.deleteEvent).toHaveBeenCalledWith('primary', 'e1', { interactive: false });
+  });
+});
+
+describe('Batch deletion requests', () => {
+  const { MessageRouter, BatchRequest } = require('../background.js');
+
+  test('should build one HTTP part per request', () => {
+    const body = new BatchRequest('batch_test').build([
+      { method: 'DELETE', path: '/calendar/v3/calendars/primary/events/e1' },
+      { method: 'DELETE', path: '/calendar/v3/calendars/primary/events/e2' }
+    ]);
+
+    expect(body).toContain('--batch_test\r\nContent-Type: application/http\r\nContent-ID: <item2>');
+    expect(body).toContain('DELETE /calendar/v3/calendars/primary/events/e1 HTTP/1.1');
+    expect(body.endsWith('--batch_test--\r\n')).toBe(true);
+  });
+
+  test('should read per-part statuses by Content-ID', () => {
+    const reply = [
+      '--batch_reply',
+      'Content-Type: application/http',
+      'Content-ID: <response-item2>',
+      '',
+      'HTTP/1.1 404 Not Found',
+      'Content-Type: application/json; charset=UTF-8',
+      '',
+      '{"error":{"code":404,"message":"Not Found"}}',
+      '--batch_reply',
+      'Content-Type: application/http',
+      'Content-ID: <response-item1>',
+      '',
+      'HTTP/1.1 204 No Content',
+      '',
+      '',
+      '--batch_reply--',
+      ''
+    ].join('\r\n');
+
+    const parts = new BatchRequest().parse('multipart/mixed; boundary=batch_reply', reply, 3);
+
+    expect(parts[0]).toEqual(expect.objectContaining({ status: 204, statusText: 'No Content' }));
+    expect(parts[1]).toEqual(expect.objectContaining({ status: 404, statusText: 'Not Found' }));
+    expect(JSON.parse(parts[1].body).error.code).toBe(404);
+    expect(parts[2]).toBeNull();
+  });
+
+  test('should map batch results onto events and run truncations separately', async () => {
+    const router = Object.create(MessageRouter.prototype);
+    const rateLimiter = { acquire: jest.fn().mockResolvedValue(undefined) };
+    const forbidden = Object.assign(new Error('HTTP 403: Forbidden'), { status: 403 });
+    router.deleteEventsInBatch = jest.fn().mockResolvedValue([null, forbidden]);
+    router.truncateSeries = jest.fn().mockResolvedValue('s1');
+    router.deleteEvent = jest.fn();
+
+    const results = await router.runBatch([
+      { actualEventId: 'e1', calendarId: 'primary', title: 'One' },
+      { actualEventId: 's1', calendarId: 'primary', title: 'Series', operation: 'truncate', truncateFrom: '2025-09-01' },
+      { actualEventId: 'e2', calendarId: 'primary', title: 'Two' }
+    ], rateLimiter);
+
+    expect(router.deleteEventsInBatch).toHaveBeenCalledWith([
+      expect.objectContaining({ actualEventId: 'e1' }),
+      expect.objectContaining({ actualEventId: 'e2' })
+    ], { interactive: true });
+    expect(router.deleteEvent).not.toHaveBeenCalled();
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(results[2].reason).toBe(forbidden);
+  });
+
+  test('should count events that are already gone as deleted', async () => {
+    const router = Object.create(MessageRouter.prototype);
+    const rateLimiter = { acquire: jest.fn().mockResolvedValue(undefined) };
+    const notFound = Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+    const gone = Object.assign(new Error('HTTP 410: Gone'), { status: 410 });
+    router.deleteEventsInBatch = jest.fn().mockResolvedValue([notFound, null]);
+    router.deleteEvent = jest.fn().mockRejectedValue(gone);
+
+    const batched = await router.runBatch([
+      { actualEventId: 'e1', calendarId: 'primary', title: 'One' },
+      { actualEventId: 'e2', calendarId: 'primary', title: 'Two' }
+    ], rateLimiter);
+    const single = await router.runBatch([{ actualEventId: 'e3', calendarId: 'primary', title: 'Three' }], rateLimiter);
+
+    expect(batched.map(r => r.status)).toEqual(['fulfilled', 'fulfilled']);
+    expect(single).toEqual([{ status: 'fulfilled', value: expect.objectContaining({ actualEventId: 'e3' }) }]);
+  });
+});
+
+describe('Moving events', () => {
+  const { MessageRouter, RateLimiter } = require('../background.js');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should batch moves to the destination and skip events that cannot be moved', async () => {
+    jest.spyOn(RateLimiter.prototype, 'acquire').mockResolvedValue(undefined);
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.getAccountEmail = jest.fn().mockResolvedValue('me@example.com');
+    router.recordAudit = jest.fn();
+    const forbidden = Object.assign(new Error('HTTP 403: Forbidden'), { status: 403 });
+    router.moveEventsInBatch = jest.fn().mockResolvedValue([null, forbidden]);
+    router.moveEvent = jest.fn();
+    const onProgress = jest.fn();
+
+    const result = await router.performBulkMove([
+      { domEventId: 'd1', actualEventId: 'e1', calendarId: 'primary', title: 'Old hold', organizerSelf: true },
+      { domEventId: 'd2', actualEventId: 'e2', calendarId: 'primary', title: 'Planning' },
+      { domEventId: 'd3', actualEventId: 'e3', calendarId: 'primary', title: 'Team sync', organizerSelf: false },
+      { domEventId: 'd4', actualEventId: 'e4', calendarId: 'primary', title: 'Heads down', eventType: 'focusTime' },
+      { domEventId: 'd5', actualEventId: 'e5_20250901', calendarId: 'primary', title: 'Standup', recurringEventId: 'e5' },
+      { domEventId: 'd6', actualEventId: 'e6', calendarId: 'archive@example.com', title: 'Archived' }
+    ], 'archive@example.com', onProgress);
+
+    expect(router.moveEventsInBatch).toHaveBeenCalledWith([
+      expect.objectContaining({ actualEventId: 'e1' }),
+      expect.objectContaining({ actualEventId: 'e2' })
+    ], 'archive@example.com');
+    expect(router.moveEvent).not.toHaveBeenCalled();
+    expect(result.successful.map(event => event.actualEventId)).toEqual(['e1']);
+    expect(result.failed.map(event => [event.actualEventId, event.error])).toEqual([
+      ['e3', 'Only the organizer can move this event'],
+      ['e4', 'Only regular events can be moved; this is a focusTime event'],
+      ['e5_20250901', 'Single occurrences of a recurring event cannot be moved; move the whole series instead'],
+      ['e6', 'The event is already in that calendar'],
+      ['e2', 'HTTP 403: Forbidden']
+    ]);
+    expect(result.failed.every(event => !event.retryable)).toBe(true);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'move', done: 1, failed: 1, remaining: 0 }));
+    expect(router.recordAudit).not.toHaveBeenCalled();
+  });
+
+  test('should post move requests through the batch endpoint', async () => {
+    const router = Object.create(MessageRouter.prototype);
+    router.sendBatch = jest.fn().mockResolvedValue([null]);
+
+    await router.moveEventsInBatch([{ calendarId: 'primary', actualEventId: 'e 1' }], 'archive@example.com');
+
+    expect(router.sendBatch).toHaveBeenCalledWith([{
+      method: 'POST',
+      path: '/calendar/v3/calendars/primary/events/e%201/move?destination=archive%40example.com'
+    }]);
+  });
+});
+
+describe('Editing events', () => {
+  const { MessageRouter, RateLimiter, BatchRequest } = require('../background.js');
+  globalThis.EventPatch = require('../patch.js').EventPatch;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should patch only the events that change and report the rest as unchanged', async () => {
+    jest.spyOn(RateLimiter.prototype, 'acquire').mockResolvedValue(undefined);
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.getAccountEmail = jest.fn().mockResolvedValue('me@example.com');
+    router.recordAudit = jest.fn();
+    router.patchEventsInBatch = jest.fn().mockRejectedValue(new Error('HTTP 400: Bad Request'));
+    router.patchEvent = jest.fn().mockResolvedValue({});
+    const onProgress = jest.fn();
+
+    const result = await router.performBulkPatch([
+      { domEventId: 'd1', actualEventId: 'e1', calendarId: 'primary', title: '[TENTATIVE] Planning', colorId: '5' },
+      { domEventId: 'd2', actualEventId: 'e2', calendarId: 'primary', title: 'Review', colorId: '5' },
+      { domEventId: 'd3', actualEventId: 'e3', calendarId: 'primary', title: '[tentative] Retro', colorId: null }
+    ], { find: '^\\[TENTATIVE\\] ', replace: '', colorId: '5' }, onProgress);
+
+    expect(router.patchEventsInBatch).toHaveBeenCalledTimes(1);
+    expect(router.patchEvent.mock.calls).toEqual([
+      ['primary', 'e1', { summary: 'Planning' }],
+      ['primary', 'e3', { summary: 'Retro', colorId: '5' }]
+    ]);
+    expect(result.successful.map(event => event.actualEventId)).toEqual(['e1', 'e3']);
+    expect(result.unchanged).toEqual([expect.objectContaining({ actualEventId: 'e2' })]);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'patch', done: 2, remaining: 0 }));
+    expect(router.recordAudit).not.toHaveBeenCalled();
+  });
+
+  test('should patch events read from the page against their real title and color', async () => {
+    jest.spyOn(RateLimiter.prototype, 'acquire').mockResolvedValue(undefined);
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.getAccountEmail = jest.fn().mockResolvedValue('me@example.com');
+    router.patchEvent = jest.fn().mockResolvedValue({});
+    const notFound = Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+    router.getEvent = jest.fn(async (calendarId, eventId) => {
+      if (eventId === 'e3') throw notFound;
+      return { e1: { summary: '[TENTATIVE] Planning', colorId: '2' }, e2: { summary: 'Review', colorId: '5' } }[eventId];
+    });
+
+    const result = await router.performBulkPatch([
+      { domEventId: 'd1', actualEventId: 'e1', calendarId: 'primary', title: '10am [TENTATIVE] Planning, Room 4', colorId: null, fromPage: true },
+      { domEventId: 'd2', actualEventId: 'e2', calendarId: 'primary', title: '11am Review', colorId: null, fromPage: true },
+      { domEventId: 'd3', actualEventId: 'e3', calendarId: 'primary', title: 'Gone', fromPage: true }
+    ], { find: '\\[TENTATIVE\\] ', replace: '', colorId: '5' });
+
+    expect(router.getEvent).toHaveBeenCalledTimes(3);
+    expect(router.patchEvent.mock.calls).toEqual([['primary', 'e1', { summary: 'Planning', colorId: '5' }]]);
+    expect(result.unchanged).toEqual([expect.objectContaining({ actualEventId: 'e2' })]);
+    expect(result.failed).toEqual([expect.objectContaining({ actualEventId: 'e3', retryable: false })]);
+  });
+
+  test('should refuse a patch that changes nothing', async () => {
+    const router = Object.create(MessageRouter.prototype);
+
+    await expect(router.performBulkPatch([], { find: '' })).rejects.toThrow('Choose at least one change to make.');
+    await expect(router.performBulkPatch([], { find: '[' })).rejects.toThrow('Invalid regular expression');
+  });
+
+  test('should send each patch body inside its batch part', () => {
+    const body = new BatchRequest('batch_test').build([
+      { method: 'PATCH', path: '/calendar/v3/calendars/primary/events/e1', body: { colorId: '5' } }
+    ]);
+
+    expect(body).toBe([
+      '--batch_test',
+      'Content-Type: application/http',
+      'Content-ID: <item1>',
+      '',
+      'PATCH /calendar/v3/calendars/primary/events/e1 HTTP/1.1',
+      'Content-Type: application/json; charset=UTF-8',
+      '',
+      '{"colorId":"5"}',
+      '--batch_test--',
+      ''
+    ].join('\r\n'));
+  });
+});
+
+describe('API errors and retries', () => {
+  const { MessageRouter, ApiError } = require('../background.js');
+  let router;
+
+  beforeEach(() => {
+    router = Object.create(MessageRouter.prototype);
+    router.getRetryDelay = jest.fn().mockReturnValue(0);
+  });
+
+  test('should read the reason and Retry-After from an error response', async () => {
+    const error = await ApiError.fromResponse({
+      status: 403,
+      statusText: 'Forbidden',
+      headers: { get: (name) => (name === 'Retry-After' ? '7' : null) },
+      text: async () => JSON.stringify({
+        error: { code: 403, message: 'Rate Limit Exceeded', errors: [{ reason: 'rateLimitExceeded' }] }
+      })
+    });
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('HTTP 403: Rate Limit Exceeded');
+    expect(error.status).toBe(403);
+    expect(error.reason).toBe('rateLimitExceeded');
+    expect(error.retryAfterMs).toBe(7000);
+  });
+
+  test('should only retry throttling and server errors', () => {
+    expect(router.isRetryableError(new ApiError(429, 'Too Many Requests'))).toBe(true);
+    expect(router.isRetryableError(new ApiError(503, 'Service Unavailable'))).toBe(true);
+    expect(router.isRetryableError(new ApiError(403, 'Forbidden', { reason: 'userRateLimitExceeded' }))).toBe(true);
+    expect(router.isRetryableError(new ApiError(403, 'Forbidden', { reason: 'forbidden' }))).toBe(false);
+    expect(router.isRetryableError(new ApiError(404, 'Not Found'))).toBe(false);
+  });
+
+  test('should retry until the operation succeeds', async () => {
+    const budget = { retriesLeft: 10 };
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new ApiError(429, 'Too Many Requests'))
+      .mockRejectedValueOnce(new ApiError(500, 'Internal Server Error'))
+      .mockResolvedValue('ok');
+
+    await expect(router.withRetry(operation, budget)).resolves.toBe('ok');
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(budget.retriesLeft).toBe(8);
+  });
+
+  test('should give up when the job budget is spent', async () => {
+    const budget = { retriesLeft: 1 };
+    const throttled = new ApiError(429, 'Too Many Requests');
+    const operation = jest.fn().mockRejectedValue(throttled);
+
+    await expect(router.withRetry(operation, budget)).rejects.toBe(throttled);
+    expect(operation).toHaveBeenCalledTimes(2);
+    expect(budget.retriesLeft).toBe(0);
+  });
+
+  test('should honour Retry-After and otherwise back off exponentially', () => {
+    const plainRouter = Object.create(MessageRouter.prototype);
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(plainRouter.getRetryDelay(new ApiError(429, 'x', { retryAfterMs: 5000 }), 0)).toBe(5000);
+    expect(plainRouter.getRetryDelay(new ApiError(503, 'x'), 3)).toBe(8000);
+    expect(plainRouter.getRetryDelay(new ApiError(503, 'x'), 10)).toBe(32000);
+
+    Math.random.mockRestore();
+  });
+
+  test('should refresh the token once on a 401 and then give up', async () => {
+    router.authManager = { getValidToken: jest.fn().mockResolvedValue('stale') };
+    const unauthorized = {
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      headers: { get: () => null },
+      text: async () => ''
+    };
+    globalThis.fetch.mockReset();
+    globalThis.fetch.mockResolvedValue(unauthorized);
+    chrome.identity.removeCachedAuthToken.mockClear();
+
+    await expect(router.getEvent('primary', 'e1')).rejects.toMatchObject({ status: 401 });
+    await expect(router.deleteEvent('primary', 'e1')).rejects.toMatchObject({ status: 401 });
+    await expect(router.deleteEventsInBatch([{ calendarId: 'primary', actualEventId: 'e1' }]))
+      .rejects.toMatchObject({ status: 401 });
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(6);
+    expect(chrome.identity.removeCachedAuthToken).toHaveBeenCalledTimes(3);
+    globalThis.fetch.mockReset();
+  });
+});
+
+describe('Cleanup rules', () => {
+  const { MessageRouter, RuleStore } = require('../background.js');
+  globalThis.EventQuery = require('../query.js').EventQuery;
+  let storage;
+  let router;
+
+  const ruleInput = {
+    name: 'Old auto-holds',
+    calendarId: 'ops@example.com',
+    calendarName: 'Ops',
+    query: '"Auto-hold"',
+    olderThanDays: 7,
+    maxDeletions: 2,
+    schedule: { frequency: 'weekly', dayOfWeek: 1, time: '09:00' }
+  };
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (keys) => {
+      const wanted = Array.isArray(keys) ? keys : [keys];
+      return Object.fromEntries(wanted.filter(key => key in storage).map(key => [key, storage[key]]));
+    });
+    chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+    chrome.storage.local.remove.mockImplementation(async (keys) => {
+      [].concat(keys).forEach(key => delete storage[key]);
+    });
+    chrome.alarms.create.mockClear();
+    chrome.alarms.clear.mockClear();
+
+    router = Object.create(MessageRouter.prototype);
+    router.ruleStore = new RuleStore();
+    router.runningRules = new Set();
+    router.authManager = { getCachedToken: jest.fn().mockResolvedValue('token') };
+  });
+
+  afterEach(() => {
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+    chrome.storage.local.remove.mockReset();
+  });
+
+  test('should compute the next weekly and daily run in local time', () => {
+    // Wednesday 3 September 2025, 10:00 local time
+    const from = new Date(2025, 8, 3, 10, 0);
+
+    expect(router.getNextRunTime({ frequency: 'weekly', dayOfWeek: 1, time: '09:00' }, from))
+      .toEqual(new Date(2025, 8, 8, 9, 0));
+    expect(router.getNextRunTime({ frequency: 'weekly', dayOfWeek: 3, time: '09:00' }, from))
+      .toEqual(new Date(2025, 8, 10, 9, 0));
+    expect(router.getNextRunTime({ frequency: 'daily', time: '18:30' }, from))
+      .toEqual(new Date(2025, 8, 3, 18, 30));
+    expect(router.getNextRunTime({ frequency: 'daily', time: '09:00' }, from))
+      .toEqual(new Date(2025, 8, 4, 9, 0));
+  });
+
+  test('should validate rules and arm an alarm when saving', async () => {
+    await expect(router.saveRule({ ...ruleInput, query: '' })).rejects.toThrow('Rules need a filter');
+    await expect(router.saveRule({ ...ruleInput, query: '(hold' })).rejects.toThrow('Invalid filter');
+    await expect(router.saveRule({ ...ruleInput, maxDeletions: 0 })).rejects.toThrow('deletion limit');
+
+    const rule = await router.saveRule(ruleInput);
+
+    expect(rule).toEqual(expect.objectContaining({ name: 'Old auto-holds', enabled: true, history: [] }));
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`rule:${rule.id}`, { when: new Date(rule.nextRunAt).getTime() });
+    expect(await router.ruleStore.listRules()).toHaveLength(1);
+  });
+
+  test('should delete old matching events and record the run', async () => {
+    const rule = await router.saveRule(ruleInput);
+    router.getCalendarEvents = jest.fn().mockResolvedValue([
+      { id: 'a', summary: 'Auto-hold', eventType: 'default' },
+      { id: 'b', summary: 'Team sync' },
+      { id: 'c', summary: 'Auto-hold', status: 'cancelled' }
+    ]);
+    router.performBulkDeletion = jest.fn().mockResolvedValue({
+      status: 'completed',
+      successful: [{ actualEventId: 'a' }],
+      failed: [],
+      backupId: 'backup-1'
+    });
+
+    const run = await router.runRule(rule.id);
+
+    const [calendarId, filters, , auth] = router.getCalendarEvents.mock.calls[0];
+    expect(calendarId).toBe('ops@example.com');
+    expect(Date.now() - new Date(filters.timeMax).getTime()).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000);
+    expect(filters.timeMin).toBeUndefined();
+    expect(auth).toEqual({ interactive: false });
+    expect(router.performBulkDeletion).toHaveBeenCalledWith([
+      { domEventId: 'a', actualEventId: 'a', calendarId: 'ops@example.com', eventType: 'default', title: 'Auto-hold', startTime: undefined }
+    ], null, null, { filter: 'Rule "Old auto-holds": "Auto-hold" (older than 7 days)', interactive: false });
+    expect(run).toEqual(expect.objectContaining({ status: 'success', matched: 1, deleted: 1, backupId: 'backup-1' }));
+
+    const [stored] = await router.ruleStore.listRules();
+    expect(stored.lastRun).toEqual(run);
+    expect(stored.history).toEqual([run]);
+  });
+
+  test('should delete nothing when a run matches more than the cap', async () => {
+    const rule = await router.saveRule(ruleInput);
+    router.getCalendarEvents = jest.fn().mockResolvedValue(
+      ['a', 'b', 'c'].map(id => ({ id, summary: 'Auto-hold' }))
+    );
+    router.performBulkDeletion = jest.fn();
+
+    const run = await router.runRule(rule.id);
+
+    expect(router.performBulkDeletion).not.toHaveBeenCalled();
+    expect(run).toEqual(expect.objectContaining({ status: 'capped', matched: 3, deleted: 0 }));
+  });
+
+  test('should keep every rule in the index when rules are saved at the same time', async () => {
+    const rule = (id) => ({ ...ruleInput, id });
+
+    await Promise.all([router.ruleStore.saveRule(rule('r1')), router.ruleStore.saveRule(rule('r2'))]);
+    expect(storage.ruleIndex).toEqual(['r1', 'r2']);
+
+    await Promise.all([router.ruleStore.deleteRule('r1'), router.ruleStore.saveRule(rule('r3'))]);
+
+    expect((await router.ruleStore.listRules()).map(saved => saved.id)).toEqual(['r2', 'r3']);
+  });
+
+  test('should not start a rule twice when an alarm and "Run now" fire together', async () => {
+    const rule = await router.saveRule(ruleInput);
+    router.getCalendarEvents = jest.fn().mockResolvedValue([]);
+
+    const [first, second] = await Promise.allSettled([router.runRule(rule.id), router.runRule(rule.id)]);
+
+    expect(first.status).toBe('fulfilled');
+    expect(second.reason.message).toBe('This rule is already running.');
+    expect(router.getCalendarEvents).toHaveBeenCalledTimes(1);
+    expect(router.runningRules.size).toBe(0);
+  });
+
+  test('should stop paging through the history once a run is over its cap', async () => {
+    const rule = await router.saveRule(ruleInput);
+    router.calendarRequest = jest.fn()
+      .mockResolvedValueOnce({ items: [{ id: 'a', summary: 'Auto-hold' }, { id: 'b', summary: 'Team sync' }], nextPageToken: 'p2' })
+      .mockResolvedValueOnce({ items: [{ id: 'c', summary: 'Auto-hold' }, { id: 'd', summary: 'Auto-hold' }], nextPageToken: 'p3' });
+    router.performBulkDeletion = jest.fn();
+
+    const run = await router.runRule(rule.id);
+
+    expect(router.calendarRequest).toHaveBeenCalledTimes(2);
+    expect(router.performBulkDeletion).not.toHaveBeenCalled();
+    expect(run).toEqual(expect.objectContaining({ status: 'capped', deleted: 0 }));
+    expect(run.error).toContain('more than the limit of 2 events');
+  });
+
+  test('should record a failed run without signing in interactively', async () => {
+    const rule = await router.saveRule(ruleInput);
+    router.authManager.getCachedToken.mockResolvedValue(null);
+    router.getCalendarEvents = jest.fn();
+
+    const run = await router.runRule(rule.id);
+
+    expect(router.getCalendarEvents).not.toHaveBeenCalled();
+    expect(run.status).toBe('failed');
+    expect(run.error).toContain('Not signed in');
+    // Still re-armed for the next run
+    expect(chrome.alarms.create).toHaveBeenCalledTimes(2);
+  });
+
+  test('should fail with sign-in required instead of prompting when the token goes away mid-run', async () => {
+    const { AuthManager } = require('../background.js');
+    const rule = await router.saveRule(ruleInput);
+    chrome.identity.getAuthToken.mockReset();
+    chrome.identity.getAuthToken
+      .mockImplementationOnce((options, callback) => callback('token'))
+      .mockImplementation((options, callback) => callback(undefined));
+    router.authManager = new AuthManager();
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.auditLog = { append: jest.fn() };
+    router.isAutoBackupEnabled = jest.fn().mockResolvedValue(false);
+    router.getCalendarEvents = jest.fn().mockResolvedValue([
+      { id: 'a', summary: 'Auto-hold' },
+      { id: 'b', summary: 'Auto-hold' }
+    ]);
+    globalThis.fetch.mockClear();
+
+    const run = await router.runRule(rule.id);
+
+    expect(chrome.identity.getAuthToken).not.toHaveBeenCalledWith(
+      expect.objectContaining({ interactive: true }),
+      expect.any(Function)
+    );
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(run).toEqual(expect.objectContaining({ status: 'failed', matched: 2, deleted: 0, failed: 2 }));
+    expect(run.error).toContain('Sign-in required');
+  });
+});
+
+describe('Audit log', () => {
+  const { MessageRouter, AuditLog } = require('../background.js');
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (keys) => {
+      const wanted = Array.isArray(keys) ? keys : [keys];
+      return Object.fromEntries(wanted.filter(key => key in storage).map(key => [key, storage[key]]));
+    });
+    chrome.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(storage, JSON.parse(JSON.stringify(items)));
+    });
+  });
+
+  afterEach(() => {
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+  });
+
+  test('should append across pages and search newest first', async () => {
+    const log = new AuditLog(2);
+    const entry = (title, extra = {}) => ({ at: '2025-09-01T10:00:00.000Z', title, result: 'deleted', ...extra });
+
+    // Queued appends from concurrent jobs must not overwrite each other
+    await Promise.all([
+      log.append([entry('Standup'), entry('Retro')]),
+      log.append([entry('Planning', { account: 'ops@example.com' })])
+    ]);
+
+    expect(storage.auditIndex).toEqual([0, 1]);
+    expect((await log.listEntries()).map(e => e.title)).toEqual(['Planning', 'Retro', 'Standup']);
+
+    const { entries, total } = await log.search('OPS@example');
+    expect(total).toBe(1);
+    expect(entries[0].title).toBe('Planning');
+    expect((await log.search('', 2)).entries).toHaveLength(2);
+  });
+
+  test('should export CSV with every field quoted', () => {
+    const csv = new AuditLog().toCsv([
+      { at: '2025-09-01T10:00:00.000Z', account: 'me@example.com', calendarId: 'primary', eventId: 'e1', title: 'Say "hi"', result: 'deleted' }
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      '"at","account","calendarId","eventId","title","start","result","error","filter","jobId"',
+      '"2025-09-01T10:00:00.000Z","me@example.com","primary","e1","Say ""hi""","","deleted","","",""'
+    ]);
+  });
+
+  test('should record every deleted and failed event with the account and filter', async () => {
+    const router = Object.create(MessageRouter.prototype);
+    router.jobs = new Map();
+    router.jobStore = { saveJob: jest.fn(), deleteJob: jest.fn() };
+    router.auditLog = new AuditLog();
+    router.isAutoBackupEnabled = jest.fn().mockResolvedValue(false);
+    router.calendarRequest = jest.fn().mockResolvedValue({ id: 'me@example.com' });
+    router.deleteEvent = jest.fn(async (calendarId, eventId) => {
+      if (eventId === 'e2') throw new Error('Forbidden');
+    });
+
+    await router.performBulkDeletion([
+      { domEventId: 'd1', actualEventId: 'e1', calendarId: 'primary', title: 'Weekly sync', startTime: '2025-09-01T10:00:00Z' },
+      { domEventId: 'd2', actualEventId: 'e2', calendarId: 'primary', title: 'Board meeting' }
+    ], null, null, { filter: 'query: sync' });
+
+    const entries = await router.auditLog.listEntries();
+    expect(entries).toEqual([
+      expect.objectContaining({ eventId: 'e2', result: 'failed', error: 'Forbidden', account: 'me@example.com', filter: 'query: sync' }),
+      expect.objectContaining({ eventId: 'e1', result: 'deleted', error: null, start: '2025-09-01T10:00:00Z', account: 'me@example.com' })
+    ]);
+  });
+});
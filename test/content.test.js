@@ -78,4 +78,620 @@ describe('CalendarExtension', () => {
   });
 
 
-});
\ No newline at end of file
+});
+describe('Recurring series handling', () => {
+  const { CalendarExtension, CustomDialogManager } = require('../content.js');
+
+  test('should recognise recurring instances in DOM event ids', () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    const domEventId = btoa('abc123_20250901T150000Z team@example.com');
+
+    expect(extension.parseEventId(domEventId)).toEqual({
+      eventId: 'abc123_20250901T150000Z',
+      calendarId: 'team@example.com',
+      recurringEventId: 'abc123',
+      originalStartTime: '2025-09-01T15:00:00Z',
+      canDelete: true
+    });
+  });
+
+  test('should group instances and resolve series actions', () => {
+    const dialogManager = new CustomDialogManager();
+    const events = [
+      { id: 'a', title: 'One-off', calendarId: 'primary' },
+      { id: 'b', title: 'Sync', calendarId: 'primary', recurringEventId: 'sync', startTime: '2025-09-08T10:00:00Z' },
+      { id: 'c', title: 'Sync', calendarId: 'primary', recurringEventId: 'sync', startTime: '2025-09-01T10:00:00Z' }
+    ];
+
+    const items = dialogManager.groupBySeries(events);
+    expect(items.map(item => item.type)).toEqual(['event', 'series']);
+    expect(items[1].events.map(e => e.id)).toEqual(['b', 'c']);
+
+    expect(dialogManager.getSeriesActions(events, new Map())).toEqual([]);
+    expect(dialogManager.getSeriesActions(events, new Map([['sync', 'following']]))).toEqual([{
+      recurringEventId: 'sync',
+      calendarId: 'primary',
+      title: 'Sync',
+      mode: 'following',
+      from: '2025-09-01T10:00:00Z'
+    }]);
+  });
+});
+
+describe('Current view range', () => {
+  const { CalendarExtension } = require('../content.js');
+
+  test('should derive the fetch range from the calendar URL', () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    window.location.href = 'https://calendar.google.com/calendar/u/0/r/month/2025/9/17';
+
+    const filters = extension.getCurrentViewFilters();
+
+    expect(filters.view).toBe('month');
+    expect(new Date(filters.timeMin)).toEqual(new Date(2025, 7, 25));
+    expect(new Date(filters.timeMax)).toEqual(new Date(2025, 9, 8));
+  });
+});
+
+describe('Pausing a running deletion', () => {
+  const { CalendarExtension, CustomDialogManager } = require('../content.js');
+
+  test('should wait for the user and cancel a paused job', async () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    extension.dialogManager = new CustomDialogManager();
+    const dialog = extension.dialogManager.showProgress('Deleting 20 events...', 0, { controls: true });
+    const pausedResult = { successful: [], failed: [], jobId: 'job-1', status: 'paused', remaining: 10 };
+    const cancelledResult = { ...pausedResult, status: 'cancelled' };
+
+    extension.connectToBackground = jest.fn(async (request, onUpdate) => {
+      onUpdate({ type: 'job', jobId: 'job-1' });
+      return { type: 'done', result: pausedResult };
+    });
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true, result: cancelledResult });
+
+    const pending = extension.runDeletionJob([], dialog);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const pauseBtn = dialog.querySelector('.extension-btn-pause');
+    expect(pauseBtn.textContent).toBe('Resume');
+
+    dialog.querySelector('[data-action="cancel"]').click();
+
+    await expect(pending).resolves.toEqual(cancelledResult);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'CANCEL_JOB', jobId: 'job-1' });
+    expect(extension.connectToBackground).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Deletion results', () => {
+  const { CustomDialogManager } = require('../content.js');
+
+  test('should list every failure and offer a retry', async () => {
+    const dialogManager = new CustomDialogManager();
+    const failed = Array.from({ length: 5 }, (_, i) => ({
+      domEventId: `d${i}`,
+      title: `Event ${i}`,
+      error: i === 0 ? 'HTTP 403: Forbidden' : 'HTTP 503: Service Unavailable',
+      retryable: i !== 0
+    }));
+
+    const choice = dialogManager.showDeletionResults('Successfully deleted 10 events.', failed, { canUndo: true });
+
+    const items = document.querySelectorAll('#failed-events .extension-event-item');
+    expect(items).toHaveLength(5);
+    expect(items[0].textContent).toContain('Permanent');
+    expect(items[1].textContent).toContain('Temporary');
+    expect(document.querySelector('[data-choice="undo"]')).not.toBeNull();
+
+    document.querySelector('[data-choice="retry"]').click();
+
+    await expect(choice).resolves.toBe('retry');
+    expect(document.querySelector('#failed-events')).toBeNull();
+  });
+});
+
+describe('Event details and filters', () => {
+  const { CalendarExtension, CustomDialogManager } = require('../content.js');
+
+  test('should carry organizer, guests and my response into the event model', () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    extension.eventCache = new Map();
+    extension.canDeleteFromCalendar = () => true;
+
+    const event = extension.mapApiEvent({
+      id: 'e1',
+      summary: 'Quarterly sync',
+      organizer: { email: 'departed@example.com', displayName: 'Pat Example' },
+      attendees: [
+        { email: 'departed@example.com', responseStatus: 'accepted', organizer: true },
+        { email: 'me@example.com', responseStatus: 'declined', self: true }
+      ]
+    }, 'primary');
+
+    expect(event.organizer).toBe('departed@example.com');
+    expect(event.organizerName).toBe('Pat Example');
+    expect(event.attendees).toHaveLength(2);
+    expect(event.responseStatus).toBe('declined');
+  });
+
+  test('should keep the event type and protect birthdays', () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    extension.eventCache = new Map();
+    extension.canDeleteFromCalendar = () => true;
+
+    const outOfOffice = extension.mapApiEvent({ id: 'o1', eventType: 'outOfOffice' }, 'primary');
+    const birthday = extension.mapApiEvent({ id: 'b1', eventType: 'birthday' }, 'primary');
+    const regular = extension.mapApiEvent({ id: 'r1' }, 'primary');
+
+    expect(outOfOffice).toEqual(expect.objectContaining({ eventType: 'outOfOffice', canDelete: true }));
+    expect(birthday).toEqual(expect.objectContaining({ eventType: 'birthday', canDelete: false }));
+    expect(birthday.readOnlyReason).toContain('Google Contacts');
+    expect(regular.eventType).toBe('default');
+  });
+
+  test('should match organizer, attendee and response filters', () => {
+    const dialogManager = new CustomDialogManager();
+    const event = {
+      organizer: 'departed@example.com',
+      organizerName: 'Pat Example',
+      attendees: [{ email: 'me@example.com', displayName: 'Me' }],
+      responseStatus: 'declined'
+    };
+
+    expect(dialogManager.matchesPeople(event, {})).toBe(true);
+    expect(dialogManager.matchesPeople(event, { organizer: 'pat' })).toBe(true);
+    expect(dialogManager.matchesPeople(event, { organizer: 'someone.else' })).toBe(false);
+    expect(dialogManager.matchesPeople(event, { attendee: 'ME@EXAMPLE' })).toBe(true);
+    expect(dialogManager.matchesPeople(event, { responseStatus: 'declined' })).toBe(true);
+    expect(dialogManager.matchesPeople(event, { responseStatus: 'accepted' })).toBe(false);
+    expect(dialogManager.matchesPeople({ attendees: [] }, { attendee: 'me' })).toBe(false);
+  });
+});
+
+describe('Duplicate cleanup dialog', () => {
+  const { CustomDialogManager } = require('../content.js');
+
+  test('should delete every copy except the one chosen to keep', async () => {
+    const dialogManager = new CustomDialogManager();
+    dialogManager.showConfirm = jest.fn().mockResolvedValue(true);
+    const copies = ['a', 'b', 'c'].map(id => ({ id, title: 'Sync', startTime: '2025-09-01T15:00:00Z', canDelete: true }));
+    const findClusters = jest.fn(() => [{ events: copies, keepId: 'a', reason: 'Identical title and times' }]);
+
+    const result = dialogManager.showDuplicatesDialog({ findClusters });
+
+    expect(document.querySelector('#duplicate-summary').textContent).toContain('2 copies will be deleted');
+    const keepB = document.querySelector('input[name="keep-0"][value="b"]');
+    keepB.checked = true;
+    keepB.dispatchEvent(new Event('change', { bubbles: true }));
+    document.querySelector('#duplicate-clusters').closest('.extension-dialog')
+      .querySelector('.extension-btn-confirm').click();
+
+    await expect(result).resolves.toEqual({ eventIds: ['a', 'c'] });
+    expect(findClusters).toHaveBeenCalledWith(0);
+  });
+
+  test('should only tick the selected copies and hide groups without a selected event', async () => {
+    const dialogManager = new CustomDialogManager();
+    dialogManager.showConfirm = jest.fn().mockResolvedValue(true);
+    const copyOf = (id, title) => ({ id, title, startTime: '2025-09-01T15:00:00Z', canDelete: true });
+    const findClusters = () => [
+      { events: ['a', 'b', 'c'].map(id => copyOf(id, 'Sync')), keepId: 'a', reason: 'Identical title and times' },
+      { events: ['x', 'y'].map(id => copyOf(id, 'Lunch')), keepId: 'x', reason: 'Identical title and times' }
+    ];
+
+    const result = dialogManager.showDuplicatesDialog({ findClusters, selectedIds: ['b'] });
+
+    expect(document.querySelectorAll('.extension-series-group')).toHaveLength(1);
+    expect(document.querySelector('#duplicate-summary').textContent).toContain('1 copies will be deleted');
+    const deleteC = document.querySelector('.extension-duplicate-delete[data-event-id="c"]');
+    expect(deleteC.checked).toBe(false);
+    deleteC.checked = true;
+    deleteC.dispatchEvent(new Event('change', { bubbles: true }));
+    document.querySelector('#duplicate-clusters').closest('.extension-dialog')
+      .querySelector('.extension-btn-confirm').click();
+
+    await expect(result).resolves.toEqual({ eventIds: ['b', 'c'] });
+    document.body.innerHTML = '';
+  });
+});
+
+describe('Event selection', () => {
+  const { CustomDialogManager } = require('../content.js');
+  globalThis.EventQuery = require('../query.js').EventQuery;
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const events = ['Alpha', 'Beta', 'Gamma', 'Delta', 'Alpha 2'].map((title, i) => ({
+    id: `e${i}`,
+    title,
+    startTime: `2025-09-0${i + 1}T10:00:00Z`,
+    canDelete: true
+  }));
+
+  const openDialog = async () => {
+    const dialogManager = new CustomDialogManager();
+    dialogManager.showConfirm = jest.fn().mockResolvedValue(true);
+    chrome.storage.sync.get.mockResolvedValue({});
+    let resolved;
+    const done = new Promise(resolve => { resolved = resolve; });
+    const dialog = dialogManager.createBulkDeleteDialog(resolved, {
+      loadEvents: async (calendarIds, onPage) => onPage(events)
+    });
+    document.body.appendChild(dialog);
+    await flush();
+    return { dialog, done, dialogManager };
+  };
+
+  const checkbox = (dialog, id) => dialog.querySelector(`.extension-event-select[data-event-id="${id}"]`);
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should delete only the ticked filter matches, keeping choices across filter changes', async () => {
+    const { dialog, done } = await openDialog();
+    checkbox(dialog, 'e0').click();
+
+    const titleFilter = dialog.querySelector('#title-filter');
+    titleFilter.value = 'alpha';
+    titleFilter.dispatchEvent(new Event('input'));
+    expect(checkbox(dialog, 'e0').checked).toBe(false);
+    expect(dialog.querySelector('#selection-count').textContent).toBe('1 of 2 selected');
+
+    titleFilter.value = '';
+    titleFilter.dispatchEvent(new Event('input'));
+    dialog.querySelector('.extension-btn-confirm').click();
+
+    const result = await done;
+    expect(result.eventIds).toEqual(['e1', 'e2', 'e3', 'e4']);
+  });
+
+  test('should look for duplicates among every loaded event, not just the filter matches', async () => {
+    const { dialog, done } = await openDialog();
+    const titleFilter = dialog.querySelector('#title-filter');
+    titleFilter.value = 'alpha';
+    titleFilter.dispatchEvent(new Event('input'));
+    checkbox(dialog, 'e4').click();
+
+    dialog.querySelector('.extension-btn-duplicates').click();
+
+    const result = await done;
+    expect(result.mode).toBe('duplicates');
+    expect(result.events.map(event => event.id)).toEqual(['e0', 'e1', 'e2', 'e3', 'e4']);
+    expect(result.selectedIds).toEqual(['e0']);
+  });
+
+  test('should explain that people filters match nothing on events read from the page', async () => {
+    const dialogManager = new CustomDialogManager();
+    const pageEvents = events.map(event => ({ ...event, element: document.createElement('div'), responseStatus: null }));
+    const dialog = dialogManager.createBulkDeleteDialog(() => {}, {
+      loadEvents: async (calendarIds, onPage) => onPage(pageEvents)
+    });
+    document.body.appendChild(dialog);
+    await flush();
+    const peopleHint = dialog.querySelector('#people-hint');
+    expect(peopleHint.textContent).toBe('');
+
+    const rsvpFilter = dialog.querySelector('#rsvp-filter');
+    rsvpFilter.value = 'declined';
+    rsvpFilter.dispatchEvent(new Event('change'));
+
+    expect(dialog.querySelector('#selection-count').textContent).toBe('0 of 0 selected');
+    expect(peopleHint.textContent).toContain('no organizer, guest or response details');
+  });
+
+    test('should support select none, invert and shift-click ranges', async () => {
+    const { dialog, done } = await openDialog();
+
+    dialog.querySelector('[data-select="none"]').click();
+    checkbox(dialog, 'e1').click();
+    checkbox(dialog, 'e3').dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: true }));
+    expect(dialog.querySelector('#selection-count').textContent).toBe('3 of 5 selected');
+
+    dialog.querySelector('[data-select="invert"]').click();
+    dialog.querySelector('.extension-btn-confirm').click();
+
+    const result = await done;
+    expect(result.eventIds).toEqual(['e0', 'e4']);
+  });
+
+  test('should skip the final confirmation when it is turned off in the settings', async () => {
+    const { dialog, done, dialogManager } = await openDialog();
+    chrome.storage.sync.get.mockResolvedValueOnce({ calendarSettings: { confirmDeletions: false } });
+
+    dialog.querySelector('.extension-btn-confirm').click();
+
+    const result = await done;
+    expect(result.eventIds).toHaveLength(5);
+    expect(dialogManager.showConfirm).not.toHaveBeenCalled();
+  });
+});
+
+describe('Filter presets in the dialog', () => {
+  const { CustomDialogManager } = require('../content.js');
+  globalThis.EventQuery = require('../query.js').EventQuery;
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const calendars = [
+    { id: 'primary', summary: 'Me', accessRole: 'owner' },
+    { id: 'team@example.com', summary: 'Team', accessRole: 'writer' }
+  ];
+  const events = [
+    { id: 'e1', title: 'Standup', startTime: '2025-09-01T10:00:00Z', canDelete: true },
+    { id: 'e2', title: 'Retro', startTime: '2025-09-02T10:00:00Z', canDelete: true }
+  ];
+
+  const openDialog = async (presets) => {
+    const dialogManager = new CustomDialogManager();
+    const presetStore = {
+      listPresets: jest.fn().mockResolvedValue(presets),
+      savePreset: jest.fn(async (name, filters) => ({ id: 'new', name, filters }))
+    };
+    const loadEvents = jest.fn(async (calendarIds, onPage) => onPage(events));
+    const dialog = dialogManager.createBulkDeleteDialog(jest.fn(), {
+      calendars,
+      selectedCalendarIds: ['primary'],
+      loadEvents,
+      presetStore
+    });
+    document.body.appendChild(dialog);
+    await flush();
+    return { dialog, dialogManager, presetStore, loadEvents };
+  };
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should apply a preset, switching calendars when it names some', async () => {
+    const { dialog, loadEvents } = await openDialog([
+      { id: 'p1', name: 'Team standups', filters: { query: 'standup', toDate: '2025-12-31', calendarIds: ['team@example.com', 'gone@example.com'] } }
+    ]);
+
+    const select = dialog.querySelector('#preset-select');
+    expect([...select.options].map(o => o.textContent)).toEqual(['Choose a preset...', 'Team standups']);
+
+    select.value = 'p1';
+    select.dispatchEvent(new Event('change'));
+    await flush();
+
+    expect(dialog.querySelector('#title-filter').value).toBe('standup');
+    expect(dialog.querySelector('#date-to').value).toBe('2025-12-31');
+    expect(loadEvents).toHaveBeenLastCalledWith(['team@example.com'], expect.any(Function));
+    expect(dialog.querySelector('#selection-count').textContent).toBe('1 of 1 selected');
+    expect(dialog.querySelector('#preset-status').textContent).toContain('1 of the preset\'s calendars');
+  });
+
+  test('should save the current filters and calendars under a name', async () => {
+    const { dialog, dialogManager, presetStore } = await openDialog([]);
+    dialogManager.showPrompt = jest.fn().mockResolvedValue('Retros');
+
+    const titleFilter = dialog.querySelector('#title-filter');
+    titleFilter.value = 'retro';
+    titleFilter.dispatchEvent(new Event('input'));
+    dialog.querySelector('[data-preset="save"]').click();
+    await flush();
+
+    expect(presetStore.savePreset).toHaveBeenCalledWith('Retros', expect.objectContaining({
+      query: 'retro',
+      calendarIds: ['primary']
+    }));
+    expect(dialog.querySelector('#preset-status').textContent).toBe('Saved "Retros".');
+  });
+});
+
+describe('Dry runs', () => {
+  const { CalendarExtension, CustomDialogManager } = require('../content.js');
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  test('should show the report and delete nothing unless asked to', async () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    extension.dialogManager = new CustomDialogManager();
+    extension.eventCache = new Map([
+      ['d1', { id: 'd1', actualEventId: 'e1', calendarId: 'primary', title: 'Old hold', canDelete: true }],
+      ['d2', { id: 'd2', title: 'Team offsite', canDelete: false, readOnlyReason: 'Read-only calendar' }]
+    ]);
+    extension.connectToBackground = jest.fn().mockResolvedValue({
+      type: 'done',
+      result: { dryRun: true, wouldDelete: [{ domEventId: 'd1', actualEventId: 'e1', title: 'Old hold', operation: 'delete' }], skipped: [] }
+    });
+    extension.dialogManager.showDryRunReport = jest.fn().mockResolvedValue('done');
+    extension.runDeletionJob = jest.fn();
+
+    await extension.performBulkDeletion(['d1', 'd2'], [], { dryRun: true });
+
+    expect(extension.connectToBackground).toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'BULK_DELETE_EVENTS', dryRun: true }),
+      expect.any(Function)
+    );
+    expect(extension.dialogManager.showDryRunReport).toHaveBeenCalledWith({
+      wouldDelete: [expect.objectContaining({ actualEventId: 'e1' })],
+      skipped: [expect.objectContaining({ domEventId: 'd2', reason: 'Read-only calendar' })]
+    });
+    expect(extension.runDeletionJob).not.toHaveBeenCalled();
+    expect(extension.isProcessing).toBe(false);
+  });
+
+  test('should escape event titles in the list of events that cannot be deleted', async () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    extension.dialogManager = new CustomDialogManager();
+    extension.eventCache = new Map([
+      ['d1', { id: 'd1', title: '<img src=x onerror="alert(1)">', canDelete: false }]
+    ]);
+    const pending = extension.performBulkDeletion(['d1']);
+    await flush();
+
+    expect(document.querySelector('.extension-dialog img')).toBeNull();
+    expect(document.querySelector('.extension-dialog').textContent).toContain('<img src=x onerror="alert(1)">');
+
+    document.querySelector('.extension-btn-confirm').click();
+    await flush();
+    document.querySelector('.extension-btn-confirm').click();
+    await pending;
+    document.body.innerHTML = '';
+  });
+
+  test('should quote every field of the downloadable report', () => {
+    const csv = new CustomDialogManager().buildDryRunCsv(
+      [{ title: 'Say "hi", team', calendarId: 'primary', actualEventId: 'e1', operation: 'delete' }],
+      [{ title: 'Holiday', calendarId: 'holidays', actualEventId: 'h1', reason: 'Read-only calendar' }]
+    );
+
+    expect(csv.split('\r\n')).toEqual([
+      '"Action","Title","Calendar","Event ID","Reason"',
+      '"delete","Say ""hi"", team","primary","e1",""',
+      '"skip","Holiday","holidays","h1","Read-only calendar"'
+    ]);
+  });
+});
+
+describe('Moving events', () => {
+  const { CalendarExtension, CustomDialogManager } = require('../content.js');
+  globalThis.EventQuery = require('../query.js').EventQuery;
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const calendars = [
+    { id: 'primary', summary: 'Me', accessRole: 'owner' },
+    { id: 'holidays', summary: 'Holidays', accessRole: 'reader' },
+    { id: 'archive@example.com', summary: 'Archive', accessRole: 'writer' }
+  ];
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should offer the writable calendars and resolve with the picked destination', async () => {
+    const dialogManager = new CustomDialogManager();
+    let resolved;
+    const done = new Promise(resolve => { resolved = resolve; });
+    const dialog = dialogManager.createBulkDeleteDialog(resolved, {
+      calendars,
+      loadEvents: async (calendarIds, onPage) => onPage([
+        { id: 'e1', title: 'Old hold', calendarId: 'primary', startTime: '2025-09-01T10:00:00Z', canDelete: true }
+      ])
+    });
+    document.body.appendChild(dialog);
+    await flush();
+
+    dialog.querySelector('.extension-btn-move').click();
+    const select = document.querySelector('select.extension-dialog-input');
+    expect([...select.options].map(option => option.value)).toEqual(['primary', 'archive@example.com']);
+    select.value = 'archive@example.com';
+    select.closest('.extension-dialog').querySelector('.extension-btn-confirm').click();
+
+    const result = await done;
+    expect(result).toEqual(expect.objectContaining({
+      mode: 'move',
+      eventIds: ['e1'],
+      destination: calendars[2]
+    }));
+  });
+
+  test('should move whole series and report what could not be moved', async () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    extension.dialogManager = new CustomDialogManager();
+    extension.eventCache = new Map([
+      ['d1', { id: 'd1', actualEventId: 'e1', calendarId: 'primary', title: 'Old hold', canDelete: true, organizerSelf: true }],
+      ['d2', { id: 'd2', actualEventId: 's1_20250901', calendarId: 'primary', title: 'Standup', recurringEventId: 's1', canDelete: true }]
+    ]);
+    extension.dialogManager.showAlert = jest.fn().mockResolvedValue(undefined);
+    extension.dialogManager.showDeletionResults = jest.fn().mockResolvedValue('done');
+    extension.runBackgroundJob = jest.fn().mockResolvedValue({
+      successful: [{ domEventId: 'd1' }],
+      failed: [{ domEventId: 's1', title: 'Standup', error: 'Only the organizer can move this event', retryable: false }],
+      status: 'completed',
+      remaining: 0
+    });
+    window.location.reload = jest.fn();
+
+    await extension.performBulkMove(
+      ['d1', 'd2'],
+      [{ recurringEventId: 's1', calendarId: 'primary', title: 'Standup', mode: 'series' }],
+      calendars[2],
+      { filter: 'query: hold' }
+    );
+
+    expect(extension.runBackgroundJob).toHaveBeenCalledWith({
+      action: 'BULK_MOVE_EVENTS',
+      events: [
+        expect.objectContaining({ domEventId: 's1', actualEventId: 's1' }),
+        expect.objectContaining({ domEventId: 'd1', actualEventId: 'e1', organizerSelf: true })
+      ],
+      destinationId: 'archive@example.com',
+      filter: 'query: hold'
+    }, expect.anything());
+    expect(extension.dialogManager.showDeletionResults).toHaveBeenCalledWith(
+      'Moved 1 events to Archive. 1 events could not be moved.',
+      expect.any(Array),
+      { title: 'Move Results' }
+    );
+    expect(extension.eventCache.has('d1')).toBe(false);
+    expect(extension.isProcessing).toBe(false);
+  });
+
+  test('should escape event titles in the list of events that cannot be moved', async () => {
+    const extension = Object.create(CalendarExtension.prototype);
+    extension.dialogManager = new CustomDialogManager();
+    extension.eventCache = new Map([
+      ['d1', { id: 'd1', title: '<img src=x onerror="alert(1)">', canDelete: false }]
+    ]);
+    const pending = extension.performBulkMove(['d1'], [], calendars[2]);
+    await flush();
+
+    expect(document.querySelector('.extension-dialog img')).toBeNull();
+    expect(document.querySelector('.extension-dialog').textContent).toContain('<img src=x onerror="alert(1)">');
+
+    document.querySelector('.extension-btn-confirm').click();
+    await flush();
+    document.querySelector('.extension-btn-confirm').click();
+    await pending;
+  });
+});
+
+describe('Bulk edits', () => {
+  const { CustomDialogManager } = require('../content.js');
+  globalThis.EventPatch = require('../patch.js').EventPatch;
+
+  const events = [
+    { id: 'e1', title: '[TENTATIVE] Planning', description: 'Agenda', colorId: null },
+    { id: 'e2', title: 'Review', colorId: null }
+  ];
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should preview each change and resolve with the options', async () => {
+    const dialogManager = new CustomDialogManager();
+    const pending = dialogManager.showPatchDialog(events);
+    const confirmBtn = document.querySelector('.extension-btn-confirm');
+    expect(confirmBtn.disabled).toBe(true);
+
+    const find = document.querySelector('#patch-find');
+    find.value = '^\\[TENTATIVE\\] ';
+    find.dispatchEvent(new Event('input'));
+    expect(document.querySelector('#patch-summary').textContent).toBe('1 of 2 events will change.');
+    expect(document.querySelector('#patch-preview').textContent).toContain('Title: [TENTATIVE] Planning → Planning');
+
+    const color = document.querySelector('#patch-color');
+    color.value = '11';
+    color.dispatchEvent(new Event('change'));
+    expect(document.querySelectorAll('#patch-preview .extension-event-item')).toHaveLength(2);
+    expect(document.querySelector('#patch-preview').textContent).toContain('Color: Calendar color → Tomato');
+
+    find.value = '(';
+    find.dispatchEvent(new Event('input'));
+    expect(document.querySelector('#patch-error').textContent).toContain('Invalid regular expression');
+    expect(confirmBtn.disabled).toBe(true);
+
+    find.value = '^\\[TENTATIVE\\] ';
+    find.dispatchEvent(new Event('input'));
+    confirmBtn.click();
+
+    await expect(pending).resolves.toEqual(expect.objectContaining({
+      find: '^\\[TENTATIVE\\] ',
+      replace: '',
+      fields: ['summary'],
+      colorId: '11'
+    }));
+  });
+});
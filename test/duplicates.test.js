@@ -0,0 +1,69 @@
+/**
+ * Tests for duplicate event detection
+ */
+
+const { DuplicateFinder } = require('../duplicates.js');
+
+describe('DuplicateFinder', () => {
+  const event = (id, overrides = {}) => ({
+    id,
+    calendarId: 'primary',
+    title: 'Weekly Sync',
+    startTime: '2025-09-01T15:00:00Z',
+    endTime: '2025-09-01T16:00:00Z',
+    canDelete: true,
+    ...overrides
+  });
+
+  test('should cluster copies with the same title and times in one calendar', () => {
+    const clusters = new DuplicateFinder().find([
+      event('a', { created: '2025-01-02T00:00:00Z' }),
+      event('b', { title: '  weekly   sync ', created: '2025-01-01T00:00:00Z' }),
+      event('c', { calendarId: 'team@example.com' }),
+      event('d', { title: 'Other meeting' })
+    ]);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].events.map(e => e.id)).toEqual(['a', 'b']);
+    expect(clusters[0].reason).toBe('Identical title and times');
+    // The oldest copy is kept by default
+    expect(clusters[0].keepId).toBe('b');
+  });
+
+  test('should cluster by iCalUID without merging recurring instances', () => {
+    const clusters = new DuplicateFinder().find([
+      event('a', { iCalUID: 'x@google.com', title: 'Renamed copy' }),
+      event('b', { iCalUID: 'x@google.com' }),
+      event('c', { iCalUID: 'x@google.com', startTime: '2025-09-08T15:00:00Z', endTime: '2025-09-08T16:00:00Z' })
+    ]);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].events.map(e => e.id)).toEqual(['a', 'b']);
+    expect(clusters[0].reason).toBe('Same iCalUID');
+  });
+
+  test('should only match shifted copies within the tolerance', () => {
+    const events = [
+      event('a'),
+      event('b', { startTime: '2025-09-01T15:04:00Z', endTime: '2025-09-01T16:04:00Z' }),
+      event('c', { startTime: '2025-09-01T15:30:00Z', endTime: '2025-09-01T16:30:00Z' })
+    ];
+    const finder = new DuplicateFinder();
+
+    expect(finder.find(events)).toEqual([]);
+
+    const clusters = finder.find(events, { toleranceMinutes: 5 });
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].events.map(e => e.id)).toEqual(['a', 'b']);
+    expect(clusters[0].reason).toBe('Same title at nearly the same time');
+  });
+
+  test('should prefer keeping a copy that cannot be deleted', () => {
+    const clusters = new DuplicateFinder().find([
+      event('a', { created: '2025-01-01T00:00:00Z' }),
+      event('b', { canDelete: false })
+    ]);
+
+    expect(clusters[0].keepId).toBe('b');
+  });
+});
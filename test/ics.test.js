@@ -0,0 +1,158 @@
+/**
+ * Tests for Calendar Bulk Event Manager iCalendar support
+ */
+
+const { IcsWriter, IcsParser, IcsMatcher } = require('../ics.js');
+
+describe('IcsWriter', () => {
+  const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+  test('should write all-day and timed events', () => {
+    const ics = new IcsWriter().build([
+      {
+        calendarId: 'primary',
+        resource: {
+          id: 'allday',
+          iCalUID: 'allday@google.com',
+          summary: 'Offsite; day one, maybe',
+          start: { date: '2025-09-01' },
+          end: { date: '2025-09-02' }
+        }
+      },
+      {
+        calendarId: 'primary',
+        resource: {
+          id: 'timed',
+          summary: 'Call',
+          start: { dateTime: '2025-09-01T15:00:00Z' },
+          end: { dateTime: '2025-09-01T15:30:00Z' }
+        }
+      }
+    ]);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics).toContain('UID:allday@google.com');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250901');
+    expect(ics).toContain('DTEND;VALUE=DATE:20250902');
+    expect(ics).toContain('SUMMARY:Offsite\\; day one\\, maybe');
+    expect(ics).toContain('UID:timed');
+    expect(ics).toContain('DTSTART:20250901T150000Z');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  test('should keep recurrence, attendees and a matching VTIMEZONE', () => {
+    const ics = unfold(new IcsWriter().build([{
+      calendarId: 'primary',
+      resource: {
+        id: 'series',
+        iCalUID: 'series@google.com',
+        summary: 'Weekly sync',
+        start: { dateTime: '2025-01-06T10:00:00+01:00', timeZone: 'Europe/Berlin' },
+        end: { dateTime: '2025-01-06T10:30:00+01:00', timeZone: 'Europe/Berlin' },
+        recurrence: ['RRULE:FREQ=WEEKLY;BYDAY=MO', 'EXDATE;TZID=Europe/Berlin:20250113T100000'],
+        organizer: { email: 'lead@example.com', displayName: 'Team Lead' },
+        attendees: [
+          { email: 'lead@example.com', responseStatus: 'accepted' },
+          { email: 'guest@example.com', responseStatus: 'declined', optional: true }
+        ]
+      }
+    }]));
+
+    expect(ics).toContain('DTSTART;TZID=Europe/Berlin:20250106T100000');
+    expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO');
+    expect(ics).toContain('EXDATE;TZID=Europe/Berlin:20250113T100000');
+    expect(ics).toContain('ORGANIZER;CN="Team Lead":mailto:lead@example.com');
+    expect(ics).toContain('ATTENDEE;ROLE=OPT-PARTICIPANT;PARTSTAT=DECLINED:mailto:guest@example.com');
+
+    expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/Berlin');
+    expect(ics).toContain('BEGIN:DAYLIGHT\r\nDTSTART:20250330T020000\r\nTZOFFSETFROM:+0100\r\nTZOFFSETTO:+0200');
+    expect(ics).toContain('BEGIN:STANDARD\r\nDTSTART:20251026T030000\r\nTZOFFSETFROM:+0200\r\nTZOFFSETTO:+0100');
+  });
+
+  test('should fold long lines at 75 octets', () => {
+    const writer = new IcsWriter();
+    const folded = writer.foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+
+    folded.split('\r\n').forEach(line => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+  });
+});
+
+
+describe('IcsParser', () => {
+  const file = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:abc@example.com',
+    'SUMMARY:Quarterly review\\, part 1',
+    'DTSTART;TZID=Europe/Berlin:20250106T100000',
+    'DTEND;TZID=Europe/Berlin:20250106T110000',
+    'BEGIN:VALARM',
+    'SUMMARY:Not the event title',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:holiday@example.com',
+    'SUMMARY:Company holi',
+    ' day',
+    'DTSTART;VALUE=DATE:20251224',
+    'RRULE:FREQ=YEARLY',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  test('should parse VEVENTs with unfolding, escapes and time zones', () => {
+    const events = new IcsParser().parse(file);
+
+    expect(events).toHaveLength(2);
+    expect(events[0]).toEqual(expect.objectContaining({
+      uid: 'abc@example.com',
+      summary: 'Quarterly review, part 1',
+      start: { dateTime: '2025-01-06T09:00:00.000Z' },
+      recurring: false
+    }));
+    expect(events[1]).toEqual(expect.objectContaining({
+      summary: 'Company holiday',
+      start: { date: '2025-12-24' },
+      recurring: true
+    }));
+  });
+});
+
+describe('IcsMatcher', () => {
+  const calendarEvents = [
+    { id: 'e1', iCalUID: 'abc@example.com', title: 'Quarterly review', startTime: '2025-01-06T10:00:00+01:00' },
+    { id: 'e2', iCalUID: 'other@google.com', title: 'Company holiday', startTime: '2025-12-24' },
+    { id: 'e3', iCalUID: 'unrelated@google.com', title: 'Lunch', startTime: '2025-01-07T12:00:00Z' }
+  ];
+
+  test('should match by iCalUID and fall back to title and start', () => {
+    const { matches, unmatched } = new IcsMatcher().match([
+      { uid: 'abc@example.com', summary: 'Renamed', start: { dateTime: '2025-01-06T09:00:00.000Z' } },
+      { uid: 'holiday@example.com', summary: 'company holiday ', start: { date: '2025-12-24' } },
+      { uid: 'missing@example.com', summary: 'Lunch', start: { dateTime: '2025-01-08T12:00:00Z' } }
+    ], calendarEvents);
+
+    expect(matches.map(e => e.id)).toEqual(['e1', 'e2']);
+    expect(unmatched.map(e => e.uid)).toEqual(['missing@example.com']);
+  });
+
+  test('should only match the overridden occurrence for RECURRENCE-ID events', () => {
+    const instances = [
+      { id: 'i1', iCalUID: 'series@google.com', title: 'Sync', startTime: '2025-01-06T09:00:00Z' },
+      { id: 'i2', iCalUID: 'series@google.com', title: 'Sync', startTime: '2025-01-13T09:00:00Z' }
+    ];
+
+    const { matches } = new IcsMatcher().match([{
+      uid: 'series@google.com',
+      summary: 'Sync',
+      start: { dateTime: '2025-01-13T10:00:00Z' },
+      recurrenceId: { dateTime: '2025-01-13T09:00:00.000Z' }
+    }], instances);
+
+    expect(matches.map(e => e.id)).toEqual(['i2']);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for bulk edit patches
+ */
+
+const { EventPatch } = require('../patch.js');
+
+describe('EventPatch', () => {
+  const event = {
+    title: '[TENTATIVE] Planning',
+    description: 'Agenda: [tentative] items',
+    colorId: null,
+    visibility: 'default',
+    transparency: 'opaque',
+    reminders: { useDefault: true }
+  };
+
+  test('should replace every regex match in the chosen fields', () => {
+    const patch = new EventPatch({ find: '\\[tentative\\]\\s*', replace: '', fields: ['summary', 'description'] });
+
+    expect(patch.apply(event)).toEqual({
+      body: { summary: 'Planning', description: 'Agenda: items' },
+      changes: {
+        summary: { before: '[TENTATIVE] Planning', after: 'Planning' },
+        description: { before: 'Agenda: [tentative] items', after: 'Agenda: items' }
+      }
+    });
+    expect(new EventPatch({ find: '\\[tentative\\]', matchCase: true }).apply(event).body).toBeNull();
+    expect(new EventPatch({ find: '^\\[(\\w+)\\] (.*)$', replace: '$2 ($1)' }).apply(event).body)
+      .toEqual({ summary: 'Planning (TENTATIVE)' });
+  });
+
+  test('should leave fields the page never loaded alone', () => {
+    const patch = new EventPatch({ find: '^', replace: 'Note: ', fields: ['description'] });
+
+    expect(patch.apply({ title: 'From the grid' }).body).toBeNull();
+  });
+
+  test('should only send the settings that differ from the event', () => {
+    const patch = new EventPatch({ colorId: '11', visibility: 'default', transparency: 'transparent', clearReminders: true });
+
+    expect(patch.apply(event).body).toEqual({
+      colorId: '11',
+      transparency: 'transparent',
+      reminders: { useDefault: false, overrides: [] }
+    });
+    expect(patch.apply({
+      ...event,
+      colorId: '11',
+      transparency: 'transparent',
+      reminders: { useDefault: false, overrides: [] }
+    }).body).toBeNull();
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => new EventPatch({ find: '(' })).toThrow('Invalid regular expression');
+    expect(() => new EventPatch({ find: 'x', fields: [] })).toThrow('Choose where to find and replace');
+    expect(() => new EventPatch({ colorId: '12' })).toThrow('Unknown event color: 12');
+    expect(new EventPatch().isEmpty()).toBe(true);
+  });
+});
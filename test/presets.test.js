@@ -0,0 +1,88 @@
+/**
+ * Tests for saved filter presets
+ */
+
+const { PresetStore } = require('../presets.js');
+
+describe('PresetStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.sync.get.mockImplementation(async (keys) => {
+      const list = Array.isArray(keys) ? keys : [keys];
+      return Object.fromEntries(list.filter(key => key in storage).map(key => [key, storage[key]]));
+    });
+    chrome.storage.sync.set.mockImplementation(async (items) => {
+      Object.assign(storage, JSON.parse(JSON.stringify(items)));
+    });
+    chrome.storage.sync.remove.mockImplementation(async (key) => {
+      delete storage[key];
+    });
+    store = new PresetStore();
+  });
+
+  test('should save presets one per key and list them by name', async () => {
+    await store.savePreset('Old standups', { query: 'standup', fromDate: '', calendarIds: [] });
+    await store.savePreset(' Declined invites ', { responseStatus: 'declined', calendarIds: ['team@example.com'] });
+
+    const presets = await store.listPresets();
+    expect(presets.map(p => p.name)).toEqual(['Declined invites', 'Old standups']);
+    // Empty fields are not stored
+    expect(presets[1].filters).toEqual({ query: 'standup' });
+    expect(presets[0].filters).toEqual({ responseStatus: 'declined', calendarIds: ['team@example.com'] });
+    expect(storage.presetIndex).toHaveLength(2);
+    expect(storage[`preset:${presets[0].id}`].name).toBe('Declined invites');
+  });
+
+  test('should replace a preset saved under an existing name', async () => {
+    const first = await store.savePreset('Holds', { query: 'hold' });
+    const second = await store.savePreset('holds', { query: '/^\\[HOLD\\]/' });
+
+    expect(second.id).toBe(first.id);
+    const presets = await store.listPresets();
+    expect(presets).toHaveLength(1);
+    expect(presets[0].filters.query).toBe('/^\\[HOLD\\]/');
+  });
+
+  test('should rename and delete presets', async () => {
+    const holds = await store.savePreset('Holds', { query: 'hold' });
+    await store.savePreset('Standups', { query: 'standup' });
+
+    await expect(store.renamePreset(holds.id, 'STANDUPS')).rejects.toThrow('already exists');
+    await expect(store.renamePreset(holds.id, '  ')).rejects.toThrow('cannot be empty');
+    await store.renamePreset(holds.id, 'Tentative holds');
+    expect((await store.listPresets()).map(p => p.name)).toEqual(['Standups', 'Tentative holds']);
+
+    await store.deletePreset(holds.id);
+    expect((await store.listPresets()).map(p => p.name)).toEqual(['Standups']);
+    expect(storage[`preset:${holds.id}`]).toBeUndefined();
+  });
+
+  test('should round-trip presets through the JSON export', async () => {
+    await store.savePreset('Holds', { query: 'hold', eventType: 'default' });
+    const json = await store.exportPresets();
+
+    storage = {};
+    await store.savePreset('holds', { query: 'old' });
+    const count = await store.importPresets(json);
+
+    expect(count).toBe(1);
+    const presets = await store.listPresets();
+    expect(presets).toHaveLength(1);
+    expect(presets[0]).toMatchObject({ name: 'Holds', filters: { query: 'hold', eventType: 'default' } });
+  });
+
+  test('should reject files that are not presets and drop unknown fields', async () => {
+    await expect(store.importPresets('not json')).rejects.toThrow('not valid JSON');
+    await expect(store.importPresets('{"presets": []}')).rejects.toThrow('does not contain filter presets');
+    await expect(store.importPresets('[{"filters": {}}]')).rejects.toThrow('Preset 1 has no name');
+
+    await store.importPresets(JSON.stringify([
+      { name: 'Shared', filters: { query: 'sync', script: 'alert(1)', calendarIds: ['a', 42] } }
+    ]));
+    const [preset] = await store.listPresets();
+    expect(preset.filters).toEqual({ query: 'sync', calendarIds: ['a'] });
+  });
+});
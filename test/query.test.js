@@ -0,0 +1,70 @@
+/**
+ * Tests for the event query language
+ */
+
+const { EventQuery, QueryError } = require('../query.js');
+
+describe('EventQuery', () => {
+  const events = [
+    { title: 'Daily Standup', location: 'Room 4', calendarName: 'Team' },
+    { title: 'Daily Standup (cancelled)', location: 'Room 4', calendarName: 'Team' },
+    { title: '[HOLD] Offsite planning', description: 'Budget review', calendarName: 'Projects' },
+    {
+      title: 'Lunch',
+      location: 'Cafe',
+      organizer: 'boss@example.com',
+      attendees: [{ email: 'friend@example.org', displayName: 'Sam' }],
+      calendarName: 'Personal'
+    }
+  ];
+  const titlesMatching = (text) => events.filter(e => new EventQuery(text).matches(e)).map(e => e.title);
+
+  test('should match everything when empty', () => {
+    expect(new EventQuery('  ').isEmpty()).toBe(true);
+    expect(titlesMatching('')).toHaveLength(4);
+  });
+
+  test('should combine terms, exclusions, OR and regexes', () => {
+    expect(titlesMatching('standup -cancelled OR /^\\[HOLD\\]/')).toEqual([
+      'Daily Standup',
+      '[HOLD] Offsite planning'
+    ]);
+  });
+
+  test('should match quoted phrases and field prefixes', () => {
+    expect(titlesMatching('"daily standup" location:"room 4" -"(cancelled)"')).toEqual(['Daily Standup']);
+    expect(titlesMatching('description:budget')).toEqual(['[HOLD] Offsite planning']);
+    expect(titlesMatching('calendar:personal OR organizer:/@example\\.com$/')).toEqual(['Lunch']);
+  });
+
+  test('should search guest emails and names', () => {
+    expect(titlesMatching('attendee:sam')).toEqual(['Lunch']);
+    expect(titlesMatching('-attendee:/@example\\.org$/')).toHaveLength(3);
+  });
+
+  test('should honour parentheses', () => {
+    expect(titlesMatching('(lunch OR planning) -calendar:projects')).toEqual(['Lunch']);
+  });
+
+  test('should treat unknown prefixes as plain text', () => {
+    expect(titlesMatching('http://example')).toEqual([]);
+  });
+
+  test.each([
+    ['"unterminated', 'Missing closing quote'],
+    ['/[abc/', 'Missing closing /'],
+    ['/(/', 'Invalid regular expression'],
+    ['standup OR', 'Expected a search term'],
+    ['(standup', 'Missing closing ")"'],
+    ['standup)', 'Unexpected ")"'],
+    ['title:', 'Missing value after "title:"'],
+    ['-OR', 'Expected a term after "-"'],
+    ['a -OR b', 'Expected a term after "-"']
+  ])('should report a parse error for %s', (text, message) => {
+    const { query, error } = EventQuery.tryParse(text);
+
+    expect(query).toBeNull();
+    expect(error).toBeInstanceOf(QueryError);
+    expect(error.message).toContain(message);
+  });
+});
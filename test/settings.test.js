@@ -0,0 +1,62 @@
+/**
+ * Tests for the extension settings
+ */
+
+const { SettingsStore } = require('../settings.js');
+
+describe('SettingsStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.sync.get.mockImplementation(async (key) => (key in storage ? { [key]: storage[key] } : {}));
+    chrome.storage.sync.set.mockImplementation(async (items) => {
+      Object.assign(storage, JSON.parse(JSON.stringify(items)));
+    });
+    store = new SettingsStore();
+  });
+
+  test('should fill in defaults and replace stored values that no longer validate', async () => {
+    expect(await store.load()).toEqual(store.defaults);
+
+    storage.calendarSettings = { confirmDeletions: false, batchSize: 500, defaultView: 'month' };
+    expect(await store.load()).toEqual({
+      confirmDeletions: false,
+      batchSize: 50,
+      autoBackup: true,
+      defaultView: 'month'
+    });
+  });
+
+  test('should reject invalid input field by field without saving', async () => {
+    const attempt = store.save({ confirmDeletions: 'yes', autoBackup: true, batchSize: 2.5, defaultView: 'month' });
+
+    await expect(attempt).rejects.toMatchObject({
+      fields: {
+        confirmDeletions: expect.any(String),
+        batchSize: 'Enter a whole number from 1 to 50.'
+      }
+    });
+    expect(storage.calendarSettings).toBeUndefined();
+  });
+
+  test('should save valid settings and reset them to the defaults', async () => {
+    const saved = await store.save({ confirmDeletions: false, autoBackup: false, batchSize: '20', defaultView: 'day' });
+
+    expect(saved.batchSize).toBe(20);
+    expect(storage.calendarSettings).toEqual({ ...saved, version: store.version });
+
+    await store.reset();
+    expect(storage.calendarSettings).toEqual({ ...store.defaults, version: store.version });
+  });
+
+  test('should treat the batch size old installs stored as unset', async () => {
+    storage.calendarSettings = { confirmDeletions: true, batchSize: 10, autoBackup: true, defaultView: 'week' };
+    expect((await store.load()).batchSize).toBe(50);
+
+    // Chosen on the options page, 10 is kept
+    await store.save({ ...store.defaults, batchSize: 10 });
+    expect((await store.load()).batchSize).toBe(10);
+  });
+});
@@ -12,7 +12,15 @@ globalThis.chrome = {
     onInstalled: {
       addListener: jest.fn()
     },
+    onStartup: {
+      addListener: jest.fn()
+    },
+    onConnect: {
+      addListener: jest.fn()
+    },
+    connect: jest.fn(),
     sendMessage: jest.fn(),
+    openOptionsPage: jest.fn(),
     getManifest: jest.fn(() => ({
       version: '1.0.0'
     })),
@@ -33,8 +41,17 @@ globalThis.chrome = {
       remove: jest.fn()
     },
     sync: {
-      get: jest.fn(),
-      set: jest.fn()
+      get: jest.fn(async () => ({})),
+      set: jest.fn(),
+      remove: jest.fn()
+    }
+  },
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn(),
+    get: jest.fn(),
+    onAlarm: {
+      addListener: jest.fn()
     }
   },
   identity: {
@@ -47,6 +64,9 @@ globalThis.chrome = {
   }
 };
 
+// The extension loads settings.js with importScripts and as a content script
+globalThis.SettingsStore = require('../settings.js').SettingsStore;
+
 // Mock DOM methods
 Object.defineProperty(window, 'location', {
   value: {
@@ -65,6 +85,9 @@ globalThis.MutationObserver = jest.fn().mockImplementation(() => ({
 // Mock fetch
 globalThis.fetch = jest.fn();
 
+// jsdom does not provide TextEncoder
+globalThis.TextEncoder = require('util').TextEncoder;
+
 // Mock console methods for cleaner test output
 globalThis.console = {
   ...console,